@@ -0,0 +1,293 @@
+import { subscribe } from '../../rules/index.js';
+import { translate } from '../../i18n.js';
+
+// maximum number of options rendered in the listbox, the user can type to narrow down the list
+const MAX_RESULTS = 100;
+
+/**
+ * Returns the score of the label for the query, -1 if the label doesn't match. Characters of
+ * the query must appear in the label in the same order, prefix and substring matches rank higher.
+ * @param {string} label
+ * @param {string} query
+ * @returns {number}
+ */
+function fuzzyScore(label, query) {
+  const text = label.toLowerCase();
+  const q = query.trim().toLowerCase();
+  if (!q.length) return 0;
+  if (text.startsWith(q)) return 3;
+  if (text.includes(q)) return 2;
+  let index = 0;
+  [...text].forEach((char) => {
+    if (char === q[index]) {
+      index += 1;
+    }
+  });
+  return index === q.length ? 1 : -1;
+}
+
+const isPlaceholder = (option) => option.disabled && option.value === '';
+
+function getOptions(select) {
+  return [...select.options]
+    .filter((option) => !isPlaceholder(option))
+    .map((option, index) => ({ option, label: option.textContent, index }));
+}
+
+/**
+ * Combobox is a searchable drop-down, implementing the ARIA 1.2 combobox pattern with a listbox
+ * popup. The native select is retained (visually hidden) and holds the value of the field, so
+ * that the value flows to the rule engine through the change event of the select.
+ * For multi-select, the selected options are rendered as removable chips.
+ * @param {HTMLElement} fieldDiv - The field wrapper containing the select.
+ * @param {Object} fieldJson - The field definition.
+ * @returns {Promise<HTMLElement>} - The decorated fieldDiv.
+ */
+export default async function decorate(fieldDiv, fieldJson) {
+  const select = fieldDiv.querySelector('select');
+  if (!select) {
+    return fieldDiv;
+  }
+  const { id, multiple } = select;
+  const listboxId = `${id}-listbox`;
+  const wrapper = document.createElement('div');
+  wrapper.className = 'combobox';
+
+  const chips = document.createElement('ul');
+  chips.className = 'combobox-chips';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = `${id}-combobox`;
+  input.autocomplete = 'off';
+  input.placeholder = fieldJson?.placeholder || '';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listboxId);
+  const description = fieldDiv.querySelector('.field-description');
+  if (description) {
+    input.setAttribute('aria-describedby', description.id);
+  }
+
+  const listbox = document.createElement('ul');
+  listbox.id = listboxId;
+  listbox.className = 'combobox-listbox';
+  listbox.setAttribute('role', 'listbox');
+  listbox.hidden = true;
+  if (multiple) {
+    listbox.setAttribute('aria-multiselectable', 'true');
+  }
+  const label = fieldDiv.querySelector('.field-label');
+  if (label) {
+    label.setAttribute('for', input.id);
+    label.id = label.id || `${id}-label`;
+    listbox.setAttribute('aria-labelledby', label.id);
+  }
+
+  let activeIndex = -1;
+
+  const getSelectedLabel = () => {
+    const [option] = select.selectedOptions;
+    return multiple || !option || isPlaceholder(option) ? '' : option.textContent;
+  };
+
+  const setActive = (index) => {
+    const items = [...listbox.children];
+    items.forEach((item) => item.classList.remove('combobox-option-active'));
+    activeIndex = index;
+    const item = items[index];
+    if (item) {
+      item.classList.add('combobox-option-active');
+      item.scrollIntoView?.({ block: 'nearest' });
+      input.setAttribute('aria-activedescendant', item.id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  };
+
+  const renderChips = () => {
+    if (!multiple) return;
+    chips.replaceChildren(...[...select.selectedOptions].map((option) => {
+      const chip = document.createElement('li');
+      chip.className = 'combobox-chip';
+      const text = document.createElement('span');
+      text.textContent = option.textContent;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'combobox-chip-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', translate('formRemoveItem', 'Remove $0').replace(/\$0/, option.textContent));
+      remove.disabled = input.disabled || input.readOnly;
+      remove.addEventListener('click', () => {
+        // eslint-disable-next-line no-use-before-define
+        toggle(option);
+        input.focus();
+      });
+      chip.append(text, remove);
+      return chip;
+    }));
+  };
+
+  const notify = () => {
+    if (multiple) {
+      const value = [...select.selectedOptions].map((option) => option.value);
+      select.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { value } }));
+    } else {
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  };
+
+  const toggle = (option) => {
+    if (multiple) {
+      option.selected = !option.selected;
+      input.value = '';
+    } else {
+      option.selected = true;
+      input.value = option.textContent;
+      close();
+    }
+    renderChips();
+    notify();
+  };
+
+  const renderOptions = () => {
+    const query = multiple || input.value !== getSelectedLabel() ? input.value : '';
+    const matches = getOptions(select)
+      .map((option) => ({ ...option, score: fuzzyScore(option.label, query) }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, MAX_RESULTS);
+    listbox.replaceChildren(...matches.map(({ option, label: text, index }) => {
+      const item = document.createElement('li');
+      item.id = `${listboxId}-${index}`;
+      item.className = 'combobox-option';
+      item.textContent = text;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', option.selected);
+      // prevent the input from losing focus
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => {
+        toggle(option);
+        if (multiple) renderOptions();
+      });
+      return item;
+    }));
+    if (!matches.length) {
+      const empty = document.createElement('li');
+      empty.className = 'combobox-no-results';
+      empty.textContent = translate('formNoResults', 'No results');
+      listbox.append(empty);
+    }
+    setActive(matches.length ? 0 : -1);
+  };
+
+  const open = () => {
+    if (input.readOnly || input.disabled) return;
+    renderOptions();
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  };
+
+  const sync = () => {
+    if (document.activeElement !== input) {
+      input.value = getSelectedLabel();
+    }
+    renderChips();
+    if (!listbox.hidden) {
+      renderOptions();
+    }
+  };
+
+  input.addEventListener('input', open);
+  input.addEventListener('click', () => (listbox.hidden ? open() : close()));
+  input.addEventListener('change', (e) => e.stopPropagation());
+  input.addEventListener('blur', () => {
+    close();
+    input.value = getSelectedLabel();
+  });
+  input.addEventListener('keydown', (e) => {
+    const items = [...listbox.querySelectorAll('[role="option"]')];
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (listbox.hidden) {
+          open();
+        } else if (!e.altKey) {
+          setActive(Math.min(activeIndex + 1, items.length - 1));
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (e.altKey) {
+          close();
+        } else if (!listbox.hidden) {
+          setActive(Math.max(activeIndex - 1, 0));
+        }
+        break;
+      case 'Enter':
+        if (!listbox.hidden && items[activeIndex]) {
+          e.preventDefault();
+          items[activeIndex].click();
+        }
+        break;
+      case 'Escape':
+        if (!listbox.hidden) {
+          close();
+        } else {
+          input.value = '';
+        }
+        break;
+      case 'Backspace':
+        if (multiple && !input.value && select.selectedOptions.length) {
+          toggle(select.selectedOptions[select.selectedOptions.length - 1]);
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+      default:
+        break;
+    }
+  });
+
+  // the select is kept for the form value and validation, redirect focus to the combobox
+  select.classList.add('combobox-select');
+  select.tabIndex = -1;
+  select.setAttribute('aria-hidden', 'true');
+  select.addEventListener('focus', () => input.focus());
+  select.addEventListener('change', sync);
+  // options can be replaced later e.g. fetched from a remote source or changed by rules
+  new MutationObserver(sync).observe(select, { childList: true });
+
+  wrapper.append(chips, input, listbox);
+  select.after(wrapper);
+  input.disabled = select.disabled;
+  sync();
+
+  subscribe(fieldDiv, (element, formModel) => {
+    const field = formModel?.getElement(fieldJson.id);
+    if (field) {
+      const values = [].concat(field.value ?? []).map((x) => `${x}`);
+      if (multiple) {
+        [...select.options].forEach((option) => {
+          option.selected = values.includes(option.value);
+        });
+      } else {
+        // selects the placeholder, if any, when the field has no value
+        select.value = values[0] ?? '';
+      }
+      input.disabled = field.enabled === false;
+      input.readOnly = field.readOnly === true;
+      input.placeholder = field.placeholder || '';
+      sync();
+    }
+  });
+  return fieldDiv;
+}
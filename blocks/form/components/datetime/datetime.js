@@ -0,0 +1,71 @@
+import { subscribe } from '../../rules/index.js';
+
+/**
+ * splits a value of the form 2024-05-31T10:30 into its date and time parts
+ * @param {string} value
+ * @returns {string[]} date and time
+ */
+function splitValue(value) {
+  const [date = '', time = ''] = `${value ?? ''}`.split('T');
+  return [date, time.substring(0, 5)];
+}
+
+function createInput(type, id, input) {
+  const element = document.createElement('input');
+  element.type = type;
+  element.id = id;
+  element.required = input.required;
+  element.disabled = input.disabled;
+  element.readOnly = input.readOnly;
+  return element;
+}
+
+/**
+ * Datetime is a component that replaces the text input with a date and a time picker.
+ * The value of the field is the combined local date time e.g. 2024-05-31T10:30
+ * @param {HTMLElement} fieldDiv - The field wrapper containing the text input.
+ * @param {Object} fieldJson - The field definition.
+ * @returns {Promise<HTMLElement>} - The decorated fieldDiv.
+ */
+export default async function decorate(fieldDiv, fieldJson) {
+  const input = fieldDiv.querySelector('input');
+  const dateInput = createInput('date', `${input.id}-date`, input);
+  const timeInput = createInput('time', `${input.id}-time`, input);
+  timeInput.setAttribute('aria-label', `${fieldJson?.label?.value || ''} time`.trim());
+  if (input.hasAttribute('aria-describedby')) {
+    dateInput.setAttribute('aria-describedby', input.getAttribute('aria-describedby'));
+  }
+  [dateInput.value, timeInput.value] = splitValue(input.value);
+
+  const onChange = (event) => {
+    event.stopPropagation();
+    let value = '';
+    if (dateInput.value) {
+      value = `${dateInput.value}T${timeInput.value || '00:00'}`;
+    }
+    input.value = value;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+  dateInput.addEventListener('change', onChange);
+  timeInput.addEventListener('change', onChange);
+
+  const container = document.createElement('div');
+  container.className = 'datetime-inputs';
+  container.append(dateInput, timeInput);
+  input.type = 'hidden';
+  input.after(container);
+  fieldDiv.querySelector('.field-label')?.setAttribute('for', dateInput.id);
+
+  subscribe(fieldDiv, (element, formModel) => {
+    const field = formModel?.getElement(fieldJson.id);
+    if (field) {
+      [dateInput.value, timeInput.value] = splitValue(field.value);
+      [dateInput, timeInput].forEach((el) => {
+        el.disabled = field.enabled === false;
+        el.readOnly = field.readOnly === true;
+        el.required = field.required === true;
+      });
+    }
+  });
+  return fieldDiv;
+}
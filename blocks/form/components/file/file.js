@@ -1,27 +1,13 @@
-import { updateOrCreateInvalidMsg, stripTags } from '../../util.js';
-import { fileAttachmentText, dragDropText, defaultErrorMessages } from '../../constant.js';
-
-const fileSizeRegex = /^(\d*\.?\d+)(\\?(?=[KMGT])([KMGT])(?:i?B)?|B?)$/i;
-
-/**
- * converts a string of the form "10MB" to bytes. If the string is malformed 0 is returned
- * @param {*} str
- * @returns
- */
-function getSizeInBytes(str) {
-  const sizes = {
-    KB: 1, MB: 2, GB: 3, TB: 4,
-  };
-  let sizeLimit = 0;
-  const matches = fileSizeRegex.exec(str.trim());
-  if (matches != null) {
-    const symbol = matches[2] || 'kb';
-    const size = parseFloat(matches[1]);
-    const i = 1024 ** sizes[symbol.toUpperCase()];
-    sizeLimit = Math.round(size * i);
-  }
-  return sizeLimit;
-}
+import {
+  updateOrCreateInvalidMsg, stripTags, checkMaxFileSize, setAttachedFiles, getSizeInBytes,
+  setPendingFiles,
+} from '../../util.js';
+import { fileAttachmentText, dragDropText } from '../../constant.js';
+import { translate, getErrorMessage } from '../../i18n.js';
+import uploadFile, { cancelUpload } from './upload.js';
+import compressImages, { getOriginalSize } from './image.js';
+import { sniffFiles, hasMismatchedContent } from '../../sniff.js';
+import openLightbox, { createThumbnail, revokeFileUrl, transferFileUrl } from './preview.js';
 
 /**
  * matches the given mediaType with the accepted mediaTypes
@@ -40,17 +26,6 @@ function matchMediaType(mediaType, accepts) {
   });
 }
 
-/**
- * checks whether the size of the files in the array is withing the maxFileSize or not
- * @param {string|number} maxFileSize maxFileSize in bytes or string with the unit
- * @param {File[]} files array of File objects
- * @returns false if any file is larger than the maxFileSize
- */
-function checkMaxFileSize(maxFileSize, files) {
-  const sizeLimit = typeof maxFileSize === 'string' ? getSizeInBytes(maxFileSize) : maxFileSize;
-  return Array.from(files).find((file) => file.size > sizeLimit) === undefined;
-}
-
 /**
  * checks whether the mediaType of the files in the array are accepted or not
  * @param {[]} acceptedMediaTypes
@@ -82,19 +57,21 @@ function fileValidation(input, files) {
   const wrapper = input.closest('.field-wrapper');
   if (!checkAccept(acceptedFile, files)) {
     constraint = 'accept';
+  } else if (Array.from(files).some(hasMismatchedContent)) {
+    constraint = 'fileContent';
   } else if (!checkMaxFileSize(fileSize, files)) {
     constraint = 'maxFileSize';
   } else if (multiple && maxItems !== -1 && files.length > maxItems) {
     constraint = 'maxItems';
-    errorMessage = defaultErrorMessages.maxItems.replace(/\$0/, maxItems);
+    errorMessage = getErrorMessage('maxItems').replace(/\$0/, maxItems);
   } else if (multiple && minItems !== 1 && files.length < minItems) {
     constraint = 'minItems';
-    errorMessage = defaultErrorMessages.minItems.replace(/\$0/, minItems);
+    errorMessage = getErrorMessage('minItems').replace(/\$0/, minItems);
   }
   if (constraint.length) {
     const finalMessage = wrapper.dataset[constraint]
     || errorMessage
-    || defaultErrorMessages[constraint];
+    || getErrorMessage(constraint);
     input.setCustomValidity(finalMessage);
     updateOrCreateInvalidMsg(
       input,
@@ -124,11 +101,32 @@ function dispatchChangeEvent(input, files) {
   if (!files.length) {
     input.value = null;
   }
-  const options = { bubbles: true, detail: { files, deletion: true } };
+  // in upload mode the files are part of the value once uploaded, see uploadAttachedFile
+  const value = input.dataset.uploadUrl ? files.filter((file) => !(file instanceof File)) : files;
+  const options = { bubbles: true, detail: { files: value, deletion: true } };
   const changeEvent = new CustomEvent('change', options);
   input.dispatchEvent(changeEvent);
 }
 
+function getSizeText(file) {
+  const originalSize = getOriginalSize(file);
+  return originalSize ? `${formatBytes(originalSize)} → ${formatBytes(file.size)}` : formatBytes(file.size);
+}
+
+/**
+ * returns the options to compress the attached images, null if they are not compressed
+ * @param {object} field
+ */
+function getImageOptions(field) {
+  const maxDimension = parseInt(field?.properties?.['fd:maxImageDimension'], 10) || undefined;
+  let quality = parseFloat(field?.properties?.['fd:imageQuality']) || undefined;
+  if (quality > 1) {
+    // quality in percent
+    quality /= 100;
+  }
+  return maxDimension || quality ? { maxDimension, quality } : null;
+}
+
 /**
  * creates an HTML element for the attached file
  * @param {File} file
@@ -138,12 +136,38 @@ function fileElement(file, index) {
   const el = document.createElement('div');
   el.dataset.index = index;
   el.classList.add('file-description');
-  el.innerHTML = `<span class="file-description-name">${file.name}</span>
-  <span class="file-description-size">${formatBytes(file.size)}</span>
+  el.innerHTML = `<span class="file-description-name" role="button" tabindex="0">${file.name}</span>
+  <span class="file-description-size">${getSizeText(file)}</span>
   <button class="file-description-remove" type="button"></button>`;
+  el.prepend(createThumbnail(file));
   return el;
 }
 
+function getFileElement(input, index) {
+  return input.closest('.field-wrapper').querySelector(`.files-list [data-index="${index}"]`);
+}
+
+/**
+ * adds a progress bar, a cancel and a retry button to the element of a file being uploaded
+ * @param {HTMLElement} el
+ */
+function addUploadElements(el) {
+  if (el.querySelector('progress')) return;
+  const progress = document.createElement('progress');
+  progress.className = 'file-description-progress';
+  progress.max = 100;
+  progress.value = 0;
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'file-description-cancel';
+  cancel.title = translate('formCancelUpload', 'Cancel upload');
+  const retry = document.createElement('button');
+  retry.type = 'button';
+  retry.className = 'file-description-retry';
+  retry.textContent = translate('formRetryUpload', 'Retry');
+  el.querySelector('.file-description-remove').before(progress, retry, cancel);
+}
+
 /**
  * creates an HTML elements for drag & drop
  * @param {HTMLElement} wrapper
@@ -152,8 +176,8 @@ function createDragAndDropArea(wrapper, field) {
   const input = wrapper.querySelector('input');
   const dragArea = `
     <div class="file-dragIcon"></div>
-    <div class="file-dragText">${field?.properties?.dragDropText ?? dragDropText}</div>
-    <button class="file-attachButton" type="button">${fileAttachmentText}</button>
+    <div class="file-dragText">${field?.properties?.dragDropText ?? translate('formDragDrop', dragDropText)}</div>
+    <button class="file-attachButton" type="button">${translate('formAttach', fileAttachmentText)}</button>
   `;
   const dragContainer = document.createElement('div');
   if (input.title) {
@@ -166,13 +190,80 @@ function createDragAndDropArea(wrapper, field) {
   return dragContainer;
 }
 
-function createFileHandler(allFiles, input) {
+function createFileHandler(allFiles, input, { uploadUrl, chunkSize } = {}) {
+  const uploads = new Map();
+
+  // the form can't be submitted till all the files are uploaded
+  const updateUploadValidity = () => {
+    fileValidation(input, allFiles);
+    if (uploadUrl && input.validity.valid && allFiles.some((file) => file instanceof File)) {
+      if (uploads.size) {
+        input.setCustomValidity(translate('formUploadPending', 'Wait for the upload of the files to complete.'));
+      } else {
+        const message = translate('formUploadFailed', 'The upload of the files failed. Retry or remove them.');
+        input.setCustomValidity(message);
+        updateOrCreateInvalidMsg(input, message);
+      }
+    }
+  };
+
+  const uploadAttachedFile = async (file) => {
+    const el = getFileElement(input, allFiles.indexOf(file));
+    addUploadElements(el);
+    el.dataset.upload = 'pending';
+    const controller = new AbortController();
+    uploads.set(file, controller);
+    updateUploadValidity();
+    try {
+      const reference = await uploadFile(file, {
+        url: uploadUrl,
+        chunkSize,
+        signal: controller.signal,
+        onProgress: (loaded, total) => {
+          el.querySelector('progress').value = total ? Math.round((loaded / total) * 100) : 100;
+        },
+      });
+      const index = allFiles.indexOf(file);
+      if (index >= 0) {
+        allFiles[index] = {
+          name: file.name, size: file.size, type: file.type, data: reference,
+        };
+        // the reference isn't a url, the uploaded file is previewed from the attached one
+        transferFileUrl(file, allFiles[index]);
+        el.dataset.upload = 'done';
+      }
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        el.dataset.upload = 'failed';
+      }
+    } finally {
+      uploads.delete(file);
+      updateUploadValidity();
+      dispatchChangeEvent(input, allFiles);
+    }
+  };
+
   return {
+    retryUpload: (index) => {
+      const file = allFiles[index];
+      if (uploadUrl && file instanceof File && !uploads.has(file)) {
+        uploadAttachedFile(file);
+      }
+    },
+
     removeFile: (index) => {
-      allFiles.splice(index, 1);
+      const [file] = allFiles.splice(index, 1);
+      if (uploads.has(file)) {
+        uploads.get(file).abort();
+        uploads.delete(file);
+      }
+      if (uploadUrl && file instanceof File) {
+        cancelUpload(file, uploadUrl);
+      }
+      revokeFileUrl(file);
       const fileListElement = input.closest('.field-wrapper').querySelector('.files-list');
       fileListElement.querySelector(`[data-index="${index}"]`).remove();
-      fileValidation(input, allFiles);
+      updateUploadValidity();
       updateButtonIndex(Array.from(fileListElement.children));
       dispatchChangeEvent(input, allFiles);
     },
@@ -181,7 +272,10 @@ function createFileHandler(allFiles, input) {
       const multiple = inputEl.hasAttribute('multiple');
       let newFiles = Array.from(files);
       if (!multiple) {
-        allFiles.splice(0, allFiles.length);
+        allFiles.splice(0, allFiles.length).forEach((file) => {
+          uploads.get(file)?.abort();
+          revokeFileUrl(file);
+        });
         newFiles = [newFiles[0]];
       }
       const currentLength = allFiles.length;
@@ -196,22 +290,13 @@ function createFileHandler(allFiles, input) {
       }
       fileValidation(inputEl, allFiles);
       dispatchChangeEvent(input, allFiles);
+      if (uploadUrl && inputEl.validity.valid) {
+        newFiles.filter((file) => file instanceof File).forEach(uploadAttachedFile);
+      }
     },
 
     previewFile: (index) => {
-      const file = allFiles[index];
-      let url = file.data || window.URL.createObjectURL(file);
-      if (file.data) {
-        const lastIndex = url.lastIndexOf('/');
-        /* added check for query param since sas url contains query params &
-          does not have file name, encoding is not required in this case
-        */
-        if (lastIndex >= 0 && url.indexOf('?') === -1) {
-          // encode the filename after last slash to ensure the handling of special characters
-          url = `${url.substr(0, lastIndex)}/${encodeURIComponent(url.substr(lastIndex + 1))}`;
-        }
-      }
-      window.open(url, '', 'scrollbars=no,menubar=no,height=600,width=800,resizable=yes,toolbar=no,status=no');
+      openLightbox(input.closest('.field-wrapper'), allFiles, index);
     },
   };
 }
@@ -226,21 +311,39 @@ export default async function decorate(fieldDiv, field, htmlForm) {
   fileListElement.classList.add('files-list');
   const attachButton = dragArea.querySelector('.file-attachButton');
   attachButton.addEventListener('click', () => input.click());
-  const fileHandler = createFileHandler(allFiles, input);
+  const uploadUrl = field?.properties?.['fd:uploadUrl'];
+  if (uploadUrl) {
+    input.dataset.uploadUrl = uploadUrl;
+  }
+  const chunkSize = getSizeInBytes(`${field?.properties?.['fd:uploadChunkSize'] || '5MB'}`);
+  const fileHandler = createFileHandler(allFiles, input, { uploadUrl, chunkSize });
+  const imageOptions = getImageOptions(field);
+  // the images are compressed, and the content of the files read, before they are validated
+  const attachFiles = (files) => {
+    const attaching = (async () => {
+      const compressed = imageOptions ? await compressImages(files, imageOptions) : files;
+      await sniffFiles(compressed);
+      fileHandler.attachFiles(input, compressed);
+    })();
+    // the form is submitted once the files are validated, see waitForAttachedFiles
+    setPendingFiles(input, attaching);
+    return attaching;
+  };
+  setAttachedFiles(input, allFiles);
   input.addEventListener('change', (event) => {
     if (!event?.detail?.deletion) {
       event.stopPropagation();
-      fileHandler.attachFiles(input, event.target.files);
+      attachFiles(event.target.files);
     }
   });
   dragArea.addEventListener('drop', (event) => {
     event.preventDefault();
     dragArea.classList.remove('file-dragArea-active');
-    fileHandler.attachFiles(input, (event?.dataTransfer?.files || []));
+    attachFiles(event?.dataTransfer?.files || []);
   });
   dragArea.addEventListener('paste', (event) => {
     event.preventDefault();
-    fileHandler.attachFiles(input, (event?.clipboardData?.files || []));
+    attachFiles(event?.clipboardData?.files || []);
   });
   dragArea.addEventListener('dragover', (event) => {
     event.preventDefault();
@@ -250,10 +353,19 @@ export default async function decorate(fieldDiv, field, htmlForm) {
     dragArea.classList.remove('file-dragArea-active');
   });
   fileListElement.addEventListener('click', (e) => {
-    if (e.target.tagName === 'BUTTON') {
+    if (e.target.classList.contains('file-description-retry')) {
+      fileHandler.retryUpload(e.target.parentElement.dataset.index);
+    } else if (e.target.tagName === 'BUTTON') {
+      // cancelling an upload removes the file
       fileHandler.removeFile(e.target?.parentElement?.dataset?.index || 0);
-    } else if (e.target.tagName === 'SPAN') {
-      fileHandler.previewFile(e.target?.parentElement?.dataset?.index || 0);
+    } else if (e.target.closest('span')) {
+      fileHandler.previewFile(e.target.closest('.file-description')?.dataset?.index || 0);
+    }
+  });
+  fileListElement.addEventListener('keydown', (e) => {
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('file-description-name')) {
+      e.preventDefault();
+      fileHandler.previewFile(e.target.parentElement.dataset.index || 0);
     }
   });
   fieldDiv.insertBefore(fileListElement, input.nextElementSibling);
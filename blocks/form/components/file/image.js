@@ -0,0 +1,74 @@
+/**
+ * Downscales and re-encodes the images attached to a file input, so that photos taken with a
+ * phone don't exceed the maximum file size.
+ */
+const compressibleTypes = ['image/jpeg', 'image/png', 'image/webp'];
+const originalSizes = new WeakMap();
+
+/**
+ * Returns the size of the file before it was compressed, undefined if it wasn't compressed.
+ * @param {File} file
+ * @returns {number|undefined}
+ */
+export function getOriginalSize(file) {
+  return originalSizes.get(file);
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function toBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve) => { canvas.toBlob(resolve, type, quality); });
+}
+
+async function compressImage(file, { maxDimension, quality }) {
+  const bitmap = await createImageBitmap(file);
+  const { width: originalWidth, height: originalHeight } = bitmap;
+  const longestSide = Math.max(originalWidth, originalHeight);
+  const scale = maxDimension ? Math.min(1, maxDimension / longestSide) : 1;
+  const width = Math.round(originalWidth * scale);
+  const height = Math.round(originalHeight * scale);
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  const blob = await toBlob(canvas, file.type, quality);
+  // re-encoding an image which isn't resized can make it larger
+  if (!blob || blob.size >= file.size) {
+    return file;
+  }
+  const { name, lastModified } = file;
+  const compressed = new File([blob], name, { type: blob.type, lastModified });
+  originalSizes.set(compressed, file.size);
+  return compressed;
+}
+
+/**
+ * Compresses the images, the other files are returned as is. The images which can't be decoded
+ * by the browser are not compressed.
+ * @param {File[]} files
+ * @param {{maxDimension?: number, quality?: number}} options maximum width or height of the
+ * images in pixels and quality of the encoding, between 0 and 1
+ * @returns {Promise<File[]>}
+ */
+export default function compressImages(files, options) {
+  return Promise.all(Array.from(files).map(async (file) => {
+    if (!(file instanceof File) || !compressibleTypes.includes(file.type)) {
+      return file;
+    }
+    try {
+      return await compressImage(file, options);
+    } catch (e) {
+      return file;
+    }
+  }));
+}
@@ -0,0 +1,220 @@
+import { decorateIcons } from '../../../../scripts/aem.js';
+import { translate } from '../../i18n.js';
+
+const mediaTypes = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+// object urls of the attached files, revoked when the file is removed
+const objectUrls = new WeakMap();
+
+function getMediaType(file) {
+  const type = file.type || file.mediaType;
+  if (type) {
+    return type;
+  }
+  const extension = `${file.name || ''}`.split('.').pop().toLowerCase();
+  return mediaTypes[extension] || '';
+}
+
+function isImage(file) {
+  return getMediaType(file).startsWith('image/');
+}
+
+function isPdf(file) {
+  return getMediaType(file) === 'application/pdf';
+}
+
+/**
+ * returns the url to preview the file, i.e. an object url for the attached files and the
+ * data of the pre-filled files
+ * @param {File|object} file
+ * @returns {string}
+ */
+export function getFileUrl(file) {
+  // an uploaded file keeps the object url of the attached file, see transferFileUrl
+  if (objectUrls.has(file)) {
+    return objectUrls.get(file);
+  }
+  if (!(file instanceof Blob)) {
+    const url = `${file.data || ''}`;
+    const lastIndex = url.lastIndexOf('/');
+    /* added check for query param since sas url contains query params &
+      does not have file name, encoding is not required in this case
+    */
+    if (lastIndex >= 0 && url.indexOf('?') === -1 && !url.startsWith('data:')) {
+      // encode the filename after last slash to ensure the handling of special characters
+      return `${url.substr(0, lastIndex)}/${encodeURIComponent(url.substr(lastIndex + 1))}`;
+    }
+    return url;
+  }
+  objectUrls.set(file, window.URL.createObjectURL(file));
+  return objectUrls.get(file);
+}
+
+/**
+ * keeps the object url of the file for the file replacing it, e.g. once it is uploaded
+ * @param {File} file
+ * @param {object} replacement
+ */
+export function transferFileUrl(file, replacement) {
+  if (objectUrls.has(file)) {
+    objectUrls.set(replacement, objectUrls.get(file));
+    objectUrls.delete(file);
+  }
+}
+
+/**
+ * revokes the object url of the removed file
+ * @param {File|object} file
+ */
+export function revokeFileUrl(file) {
+  if (file && objectUrls.has(file)) {
+    window.URL.revokeObjectURL(objectUrls.get(file));
+    objectUrls.delete(file);
+  }
+}
+
+/**
+ * returns the element to render the pdf, if the browser can render pdfs inline
+ * @param {string} url
+ * @param {string} [params] pdf open parameters e.g. page=1
+ */
+function pdfElement(url, params) {
+  if (!navigator.pdfViewerEnabled) {
+    return null;
+  }
+  const object = document.createElement('object');
+  object.type = 'application/pdf';
+  object.data = params ? `${url}#${params}` : url;
+  object.tabIndex = -1;
+  return object;
+}
+
+/**
+ * creates the thumbnail of the attached file, the image or the first page of the pdf,
+ * otherwise an icon with the extension of the file
+ * @param {File|object} file
+ */
+export function createThumbnail(file) {
+  const thumbnail = document.createElement('span');
+  thumbnail.className = 'file-description-thumbnail';
+  const url = getFileUrl(file);
+  let preview = null;
+  if (url && isImage(file)) {
+    preview = document.createElement('img');
+    preview.src = url;
+    preview.alt = '';
+    preview.loading = 'lazy';
+  } else if (url && isPdf(file)) {
+    preview = pdfElement(url, 'page=1&toolbar=0&navpanes=0&scrollbar=0&view=Fit');
+  }
+  if (preview) {
+    thumbnail.append(preview);
+  } else {
+    thumbnail.dataset.extension = `${file.name || ''}`.includes('.') ? file.name.split('.').pop().slice(0, 4) : '';
+  }
+  return thumbnail;
+}
+
+function createButton(className, label, content) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.setAttribute('aria-label', label);
+  button.innerHTML = content;
+  return button;
+}
+
+function createLightbox() {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'file-lightbox';
+  dialog.innerHTML = `<div class="file-lightbox-header">
+    <span class="file-lightbox-title"></span>
+    <span class="file-lightbox-counter"></span>
+  </div>
+  <div class="file-lightbox-content"></div>`;
+  const close = createButton('close-button', translate('formClose', 'Close'), '<span class="icon icon-close"></span>');
+  const previous = createButton('file-lightbox-previous', translate('formPreviousFile', 'Previous file'), '&lsaquo;');
+  const next = createButton('file-lightbox-next', translate('formNextFile', 'Next file'), '&rsaquo;');
+  dialog.append(previous, next, close);
+  decorateIcons(close);
+  close.addEventListener('click', () => dialog.close());
+  dialog.addEventListener('click', (event) => {
+    const dialogDimensions = dialog.getBoundingClientRect();
+    if (event.clientX < dialogDimensions.left || event.clientX > dialogDimensions.right
+        || event.clientY < dialogDimensions.top || event.clientY > dialogDimensions.bottom) {
+      dialog.close();
+    }
+  });
+  return dialog;
+}
+
+function showFile(dialog, files, index) {
+  const file = files[index];
+  const url = getFileUrl(file);
+  dialog.dataset.index = index;
+  dialog.querySelector('.file-lightbox-title').textContent = file.name;
+  dialog.querySelector('.file-lightbox-counter').textContent = files.length > 1 ? `${index + 1} / ${files.length}` : '';
+  let preview = null;
+  if (url && isImage(file)) {
+    preview = document.createElement('img');
+    preview.src = url;
+    preview.alt = file.name;
+  } else if (url && isPdf(file)) {
+    preview = pdfElement(url);
+  }
+  if (!preview) {
+    // the browser can't render the file, it is opened in a new tab or downloaded
+    preview = document.createElement('a');
+    preview.className = 'button';
+    preview.href = url;
+    preview.target = '_blank';
+    preview.rel = 'noopener';
+    preview.download = file.name;
+    preview.textContent = translate('formOpenFile', 'Open $0').replace(/\$0/, file.name);
+  }
+  dialog.querySelector('.file-lightbox-content').replaceChildren(preview);
+  dialog.querySelector('.file-lightbox-previous').hidden = files.length < 2;
+  dialog.querySelector('.file-lightbox-next').hidden = files.length < 2;
+}
+
+/**
+ * opens the preview of the file in a lightbox, the arrow keys and the previous/next buttons
+ * navigate between the files
+ * @param {HTMLElement} container element to which the lightbox is added
+ * @param {Array<File|object>} files attached files
+ * @param {number} index index of the file to preview
+ */
+export default function openLightbox(container, files, index) {
+  let dialog = container.querySelector(':scope > .file-lightbox');
+  if (!dialog) {
+    dialog = createLightbox();
+    const navigate = (step) => {
+      const current = parseInt(dialog.dataset.index, 10) || 0;
+      showFile(dialog, files, (current + step + files.length) % files.length);
+    };
+    dialog.querySelector('.file-lightbox-previous').addEventListener('click', () => navigate(-1));
+    dialog.querySelector('.file-lightbox-next').addEventListener('click', () => navigate(1));
+    dialog.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        navigate(event.key === 'ArrowLeft' ? -1 : 1);
+      }
+    });
+    dialog.addEventListener('close', () => {
+      dialog.querySelector('.file-lightbox-content').replaceChildren();
+    });
+    container.append(dialog);
+  }
+  showFile(dialog, files, parseInt(index, 10) || 0);
+  if (!dialog.open) {
+    dialog.showModal();
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Chunked and resumable upload of a file to an upload endpoint.
+ *
+ * POST <url> with {name, size, mediaType} starts an upload and returns {uploadId}.
+ * GET <url>/<uploadId> returns the {offset} of the bytes already received.
+ * PUT <url>/<uploadId> sends a chunk, with a Content-Range header, and returns the {offset} of
+ * the bytes received. The response of the last chunk contains the {reference} of the document.
+ * DELETE <url>/<uploadId> cancels the upload.
+ *
+ * The id of the upload is kept in the local storage, so attaching the same file again, e.g. after
+ * a failure or a reload of the page, resumes the upload.
+ */
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+// a chunk whose request fails is sent again that many times before the upload fails
+const MAX_RETRIES = 3;
+
+function getStorageKey(url, file) {
+  return `form-upload:${url}:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function request(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`upload request failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+async function getUploadId(url, file, signal) {
+  const key = getStorageKey(url, file);
+  const uploadId = localStorage.getItem(key);
+  if (uploadId) {
+    try {
+      const { offset } = await request(`${url}/${uploadId}`, { signal });
+      return { uploadId, offset };
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      // the upload has expired on the server, a new one is started
+      localStorage.removeItem(key);
+    }
+  }
+  const json = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: file.name, size: file.size, mediaType: file.type }),
+    signal,
+  });
+  localStorage.setItem(key, json.uploadId);
+  return { uploadId: json.uploadId, offset: 0 };
+}
+
+/**
+ * Uploads the file in chunks.
+ * @param {File} file
+ * @param {{url: string, chunkSize?: number, signal?: AbortSignal,
+ * onProgress?: function(number, number): void}} options
+ * @returns {Promise<string>} reference of the uploaded document
+ */
+export default async function uploadFile(file, {
+  url, chunkSize = DEFAULT_CHUNK_SIZE, signal, onProgress = () => {},
+}) {
+  const { uploadId, offset: start } = await getUploadId(url, file, signal);
+  let offset = start;
+  let reference;
+  onProgress(offset, file.size);
+  let retries = 0;
+  while (!reference) {
+    const end = Math.min(offset + chunkSize, file.size);
+    let json;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      json = await request(`${url}/${uploadId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${offset}-${Math.max(end - 1, 0)}/${file.size}`,
+        },
+        body: file.slice(offset, end),
+        signal,
+      });
+    } catch (e) {
+      if (e.name === 'AbortError' || retries >= MAX_RETRIES) throw e;
+      retries += 1;
+    }
+    if (json) {
+      ({ reference } = json);
+      // the offset has to move forward, otherwise the same chunk would be sent forever
+      if (!reference && json.offset !== undefined && json.offset <= offset) {
+        throw new Error(`upload did not progress past offset ${offset}`);
+      }
+      offset = json.offset ?? end;
+      retries = 0;
+    }
+    if (!reference && offset >= file.size) {
+      throw new Error('upload completed without a document reference');
+    }
+    onProgress(offset, file.size);
+  }
+  localStorage.removeItem(getStorageKey(url, file));
+  return reference;
+}
+
+/**
+ * Cancels the upload of the file, the chunks already sent are discarded by the server.
+ * @param {File} file
+ * @param {string} url
+ */
+export async function cancelUpload(file, url) {
+  const key = getStorageKey(url, file);
+  const uploadId = localStorage.getItem(key);
+  localStorage.removeItem(key);
+  if (uploadId) {
+    try {
+      await fetch(`${url}/${uploadId}`, { method: 'DELETE' });
+    } catch (e) {
+      // the upload expires on the server
+    }
+  }
+}
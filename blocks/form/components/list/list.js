@@ -0,0 +1,111 @@
+import { subscribe } from '../../rules/index.js';
+import { translate } from '../../i18n.js';
+
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value.map((x) => `${x}`);
+  }
+  if (typeof value === 'string' && value.length) {
+    return value.split(',').map((x) => x.trim());
+  }
+  return [];
+}
+
+function createButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * List is a component that lets the user enter a list of strings. Each item is rendered
+ * as a text input that can be removed, new items are added with the add button.
+ * The value of the field is the array of non empty items.
+ * @param {HTMLElement} fieldDiv - The field wrapper containing the text input.
+ * @param {Object} fieldJson - The field definition.
+ * @returns {Promise<HTMLElement>} - The decorated fieldDiv.
+ */
+export default async function decorate(fieldDiv, fieldJson) {
+  const input = fieldDiv.querySelector('input');
+  const maxItems = parseInt(fieldJson?.maxItems, 10) || -1;
+  const list = document.createElement('ol');
+  list.className = 'list-items';
+  const addButton = createButton(translate('formAdd', 'Add'), 'list-add');
+  let itemCount = 0;
+
+  const getItems = () => [...list.querySelectorAll('input')]
+    .map((el) => el.value.trim())
+    .filter((value) => value.length);
+
+  const updateState = () => {
+    const rows = list.children.length;
+    addButton.dataset.visible = maxItems === -1 || rows < maxItems;
+    addButton.disabled = input.disabled;
+  };
+
+  const notify = () => {
+    const items = getItems();
+    input.value = items.join(',');
+    input.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { value: items } }));
+  };
+
+  const addItem = (value = '') => {
+    const item = document.createElement('li');
+    item.className = 'list-item';
+    const itemInput = document.createElement('input');
+    itemInput.type = 'text';
+    itemInput.id = `${input.id}-${itemCount}`;
+    itemCount += 1;
+    itemInput.value = value;
+    itemInput.disabled = input.disabled;
+    itemInput.readOnly = input.readOnly;
+    itemInput.setAttribute('aria-label', `${fieldJson?.label?.value || ''} ${list.children.length + 1}`.trim());
+    itemInput.addEventListener('change', (event) => {
+      event.stopPropagation();
+      notify();
+    });
+    const removeButton = createButton(translate('formRemove', 'Remove'), 'list-remove');
+    removeButton.addEventListener('click', () => {
+      item.remove();
+      updateState();
+      notify();
+    });
+    item.append(itemInput, removeButton);
+    list.append(item);
+    updateState();
+    return itemInput;
+  };
+
+  const render = (values) => {
+    list.replaceChildren();
+    values.forEach((value) => addItem(value));
+    if (!values.length) {
+      addItem();
+    }
+    fieldDiv.querySelector('.field-label')?.setAttribute('for', list.querySelector('input').id);
+  };
+
+  addButton.addEventListener('click', () => addItem().focus());
+  render(toArray(fieldJson?.value));
+  input.type = 'hidden';
+  input.after(list, addButton);
+
+  subscribe(fieldDiv, (element, formModel) => {
+    const field = formModel?.getElement(fieldJson.id);
+    if (field) {
+      const values = toArray(field.value);
+      input.disabled = field.enabled === false;
+      input.readOnly = field.readOnly === true;
+      if (JSON.stringify(values) !== JSON.stringify(getItems())) {
+        render(values);
+      }
+      list.querySelectorAll('input, button').forEach((el) => {
+        el.disabled = input.disabled;
+      });
+      updateState();
+    }
+  });
+  return fieldDiv;
+}
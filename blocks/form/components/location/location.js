@@ -0,0 +1,105 @@
+import { subscribe } from '../../rules/index.js';
+import { translate } from '../../i18n.js';
+
+const PRECISION = 6;
+
+function parseValue(value) {
+  const [latitude = '', longitude = ''] = `${value ?? ''}`.split(',').map((x) => x.trim());
+  return { latitude, longitude };
+}
+
+function createCoordinateInput(input, name, label, limit) {
+  const wrapper = document.createElement('label');
+  wrapper.className = `location-${name}`;
+  const text = document.createElement('span');
+  text.textContent = label;
+  const coordinate = document.createElement('input');
+  coordinate.type = 'number';
+  coordinate.id = `${input.id}-${name}`;
+  coordinate.step = 'any';
+  coordinate.min = -limit;
+  coordinate.max = limit;
+  coordinate.required = input.required;
+  coordinate.disabled = input.disabled;
+  coordinate.readOnly = input.readOnly;
+  wrapper.append(text, coordinate);
+  return wrapper;
+}
+
+/**
+ * Location is a component that captures the latitude and longitude of the user.
+ * The coordinates are read from navigator.geolocation when the user asks for it and can
+ * always be entered manually. The value of the field is of the form "latitude,longitude".
+ * @param {HTMLElement} fieldDiv - The field wrapper containing the text input.
+ * @param {Object} fieldJson - The field definition.
+ * @returns {Promise<HTMLElement>} - The decorated fieldDiv.
+ */
+export default async function decorate(fieldDiv, fieldJson) {
+  const input = fieldDiv.querySelector('input');
+  const container = document.createElement('div');
+  container.className = 'location-inputs';
+  const latitudeWrapper = createCoordinateInput(input, 'latitude', translate('formLatitude', 'Latitude'), 90);
+  const longitudeWrapper = createCoordinateInput(input, 'longitude', translate('formLongitude', 'Longitude'), 180);
+  const latitude = latitudeWrapper.querySelector('input');
+  const longitude = longitudeWrapper.querySelector('input');
+  const status = document.createElement('div');
+  status.className = 'location-status';
+  status.setAttribute('aria-live', 'polite');
+
+  const setCoordinates = (value) => {
+    ({ latitude: latitude.value, longitude: longitude.value } = parseValue(value));
+  };
+
+  const notify = () => {
+    input.value = latitude.value && longitude.value ? `${latitude.value},${longitude.value}` : '';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  [latitude, longitude].forEach((coordinate) => {
+    coordinate.addEventListener('change', (event) => {
+      event.stopPropagation();
+      notify();
+    });
+  });
+  container.append(latitudeWrapper, longitudeWrapper);
+
+  if ('geolocation' in navigator) {
+    const detect = document.createElement('button');
+    detect.type = 'button';
+    detect.className = 'location-detect';
+    detect.textContent = translate('formUseMyLocation', 'Use my location');
+    detect.disabled = input.disabled || input.readOnly;
+    detect.addEventListener('click', () => {
+      status.textContent = translate('formFetchingLocation', 'Fetching your location…');
+      navigator.geolocation.getCurrentPosition(({ coords }) => {
+        latitude.value = coords.latitude.toFixed(PRECISION);
+        longitude.value = coords.longitude.toFixed(PRECISION);
+        status.textContent = '';
+        notify();
+      }, () => {
+        status.textContent = translate('formLocationError', 'Unable to get your location. Please enter it manually.');
+      });
+    });
+    container.append(detect);
+  }
+
+  setCoordinates(input.value);
+  input.type = 'hidden';
+  input.after(container, status);
+  fieldDiv.querySelector('.field-label')?.setAttribute('for', latitude.id);
+
+  subscribe(fieldDiv, (element, formModel) => {
+    const field = formModel?.getElement(fieldJson.id);
+    if (field) {
+      setCoordinates(field.value);
+      container.querySelectorAll('input, button').forEach((el) => {
+        el.disabled = field.enabled === false || (el.tagName === 'BUTTON' && field.readOnly === true);
+        if (el.tagName === 'INPUT') {
+          el.readOnly = field.readOnly === true;
+          el.required = field.required === true;
+        }
+      });
+    }
+  });
+  return fieldDiv;
+}
@@ -1,5 +1,6 @@
 import { subscribe } from '../../rules/index.js';
 import { decorateIcons } from '../../../../scripts/aem.js';
+import { translate } from '../../i18n.js';
 
 export class Modal {
   constructor() {
@@ -15,7 +16,7 @@ export class Modal {
     dialog.append(dialogContent);
     const closeButton = document.createElement('button');
     closeButton.classList.add('close-button');
-    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.setAttribute('aria-label', translate('formClose', 'Close'));
     closeButton.type = 'button';
     closeButton.innerHTML = '<span class="icon icon-close"></span>';
     dialog.append(closeButton);
@@ -1,4 +1,5 @@
 import { getId } from '../../util.js';
+import { translate } from '../../i18n.js';
 
 function update(fieldset, index, labelTemplate) {
   const legend = fieldset.querySelector(':scope>.field-label')?.firstChild;
@@ -39,7 +40,7 @@ function createButton(label, icon) {
 }
 
 export function insertRemoveButton(fieldset, wrapper, form) {
-  const label = fieldset.dataset?.repeatDeleteButtonLabel || 'Remove';
+  const label = fieldset.dataset?.repeatDeleteButtonLabel || translate('formRemove', 'Remove');
   const removeButton = createButton(label, 'remove');
   removeButton.addEventListener('click', () => {
     fieldset.remove();
@@ -91,7 +92,7 @@ function getInstances(el) {
 export function insertAddButton(wrapper, form) {
   const actions = document.createElement('div');
   actions.className = 'repeat-actions';
-  const addLabel = wrapper?.dataset?.repeatAddButtonLabel || 'Add';
+  const addLabel = wrapper?.dataset?.repeatAddButtonLabel || translate('formAdd', 'Add');
   const addButton = createButton(addLabel, 'add');
   addButton.addEventListener('click', add(wrapper, form, actions));
   actions.appendChild(addButton);
@@ -105,8 +106,8 @@ export default function transferRepeatableDOM(form) {
     wrapper.dataset.min = el.dataset.min || 0;
     wrapper.dataset.max = el.dataset.max;
     wrapper.dataset.variant = el.dataset.variant || 'addRemoveButtons';
-    wrapper.dataset.repeatAddButtonLabel = el.dataset?.repeatAddButtonLabel ? el.dataset.repeatAddButtonLabel : 'Add';
-    wrapper.dataset.repeatDeleteButtonLabel = el.dataset?.repeatDeleteButtonLabel ? el.dataset.repeatDeleteButtonLabel : 'Remove';
+    wrapper.dataset.repeatAddButtonLabel = el.dataset?.repeatAddButtonLabel ? el.dataset.repeatAddButtonLabel : translate('formAdd', 'Add');
+    wrapper.dataset.repeatDeleteButtonLabel = el.dataset?.repeatDeleteButtonLabel ? el.dataset.repeatDeleteButtonLabel : translate('formRemove', 'Remove');
     el.insertAdjacentElement('beforebegin', wrapper);
     wrapper.append(...instances);
     wrapper.querySelector('.item-remove')?.remove();
@@ -1,4 +1,5 @@
 import { createButton } from '../../util.js';
+import { translate } from '../../i18n.js';
 
 export class WizardLayout {
   inputFields = 'input,textarea,select';
@@ -153,13 +154,13 @@ export class WizardLayout {
     wrapper.className = 'wizard-button-wrapper';
     if (this.includePrevBtn && children.length) {
       this.addButton(wrapper, panel, {
-        label: { value: 'Back' }, fieldType: 'button', name: 'back', id: 'wizard-button-prev',
+        label: { value: translate('formBack', 'Back') }, fieldType: 'button', name: 'back', id: 'wizard-button-prev',
       }, false);
     }
 
     if (this.includeNextBtn && children.length) {
       this.addButton(wrapper, panel, {
-        label: { value: 'Next' }, fieldType: 'button', name: 'next', id: 'wizard-button-next',
+        label: { value: translate('formNext', 'Next') }, fieldType: 'button', name: 'next', id: 'wizard-button-next',
       });
     }
 
@@ -5,6 +5,7 @@ export const DEFAULT_THANK_YOU_MESSAGE = 'Thank you for your submission.';
 
 export const defaultErrorMessages = {
   accept: 'The specified file type not supported.',
+  fileContent: 'The content of the file does not match its file type.',
   maxFileSize: 'File too large. Reduce size and try again.',
   maxItems: 'Specify a number of items equal to or less than $0.',
   minItems: 'Specify a number of items equal to or greater than $0.',
@@ -14,6 +15,7 @@ export const defaultErrorMessages = {
   maximum: 'Value must be less than or equal to $0.',
   minimum: 'Value must be greater than or equal to $0.',
   required: 'Please fill in this field.',
+  validationExpression: 'Please enter a valid value.',
 };
 
 export function getRouting() {
@@ -40,3 +42,21 @@ export function setSubmitBaseUrl(url) {
 export function getSubmitBaseUrl() {
   return submitBaseUrl;
 }
+
+/**
+ * Returns the origins, other than the page origin, from which drop-down options can be fetched,
+ * see the fd:optionsAllowList property of the form and the form-options-allow-list metadata of
+ * the page.
+ * @param {string|string[]} origins urls, as an array or comma separated
+ * @returns {string[]}
+ */
+export function parseOptionsAllowList(origins) {
+  const urls = Array.isArray(origins) ? origins : `${origins || ''}`.split(',');
+  return urls.map((url) => {
+    try {
+      return new URL(url.trim()).origin;
+    } catch (e) {
+      return null;
+    }
+  }).filter((origin) => origin && origin !== 'null');
+}
@@ -0,0 +1,48 @@
+const DB_NAME = 'aem-forms';
+const DB_VERSION = 2;
+const stores = ['drafts', 'submissions'];
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      stores.filter((store) => !db.objectStoreNames.contains(store))
+        .forEach((store) => db.createObjectStore(store));
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = fn(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+export function getItem(storeName, key) {
+  return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+export function getAllItems(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+export function setItem(storeName, key, value) {
+  return withStore(storeName, 'readwrite', (store) => store.put(value, key));
+}
+
+export function removeItem(storeName, key) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
@@ -0,0 +1,57 @@
+/**
+ * Returns true on the preview hosts, on which the authors check the form before publishing it.
+ * @param {string} [hostname]
+ * @returns {boolean}
+ */
+export function isPreviewHost(hostname = window.location.hostname) {
+  return hostname.endsWith('.hlx.page') || hostname.endsWith('.aem.page');
+}
+
+function getSummary(errors) {
+  const count = (severity) => errors.filter((error) => error.severity === severity).length;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return `The form definition has ${plural(count('error'), 'error')} and ${plural(count('warning'), 'warning')}`;
+}
+
+const overlays = new WeakMap();
+
+/**
+ * Shows the errors and warnings of the rows of the sheet of a document based form, see
+ * DocBasedFormToAF and analyzeDependencies, in an overlay above the form. The errors of the
+ * rules, reported once they are compiled, are added to the overlay of the form. The overlay is
+ * only shown to the authors, on the preview hosts.
+ * @param {HTMLFormElement} form
+ * @param {Array<{row: number, severity: string, message: string}>} newErrors
+ */
+export default function showDiagnostics(form, newErrors) {
+  if (!newErrors?.length || !isPreviewHost()) {
+    return;
+  }
+  const previous = overlays.get(form);
+  previous?.overlay.remove();
+  const errors = [...(previous?.errors || []), ...newErrors];
+  const overlay = document.createElement('aside');
+  overlay.className = 'form-diagnostics';
+  overlay.setAttribute('aria-label', 'Form definition errors');
+  const header = document.createElement('div');
+  header.className = 'form-diagnostics-header';
+  const summary = document.createElement('strong');
+  summary.textContent = getSummary(errors);
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'form-diagnostics-close';
+  close.setAttribute('aria-label', 'Close');
+  close.textContent = '×';
+  close.addEventListener('click', () => overlay.remove());
+  header.append(summary, close);
+  const list = document.createElement('ul');
+  [...errors].sort((a, b) => a.row - b.row).forEach(({ row, severity, message }) => {
+    const item = document.createElement('li');
+    item.className = `form-diagnostics-${severity}`;
+    item.textContent = `Row ${row}: ${message}`;
+    list.append(item);
+  });
+  overlay.append(header, list);
+  form.parentNode?.insertBefore(overlay, form);
+  overlays.set(form, { overlay, errors });
+}
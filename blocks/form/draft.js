@@ -0,0 +1,180 @@
+import { getItem, setItem, removeItem } from './db.js';
+import { translate } from './i18n.js';
+import { getOwnElements } from './util.js';
+
+const DRAFTS = 'drafts';
+const AUTOSAVE_DELAY_MS = 1000;
+
+function getDraftKey(form) {
+  return `${form.dataset.id || form.dataset.action}:${window.location.pathname}`;
+}
+
+export async function getDraft(form) {
+  try {
+    return await getItem(DRAFTS, getDraftKey(form));
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function saveDraft(form, data) {
+  try {
+    await setItem(DRAFTS, getDraftKey(form), { data, savedAt: Date.now() });
+    return true;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('unable to save the draft', e);
+    return false;
+  }
+}
+
+export async function discardDraft(form) {
+  try {
+    await removeItem(DRAFTS, getDraftKey(form));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('unable to discard the draft', e);
+  }
+}
+
+/**
+ * Shows the status of the draft e.g. saved or discarded, above the form.
+ * @param {HTMLFormElement} form
+ * @param {string} message
+ * @param {string} [link] link to resume the draft
+ */
+export function showDraftStatus(form, message, link) {
+  let status = form.parentNode?.querySelector('.form-message.draft-status');
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'form-message draft-status';
+    status.setAttribute('aria-live', 'polite');
+    form.parentNode?.insertBefore(status, form);
+  }
+  status.textContent = message;
+  if (link) {
+    const a = document.createElement('a');
+    a.href = link;
+    a.textContent = link;
+    status.append(' ', a);
+  }
+}
+
+function restoreValue(el, value) {
+  const values = (Array.isArray(value) ? value : [value]).map((x) => `${x}`);
+  if (el.type === 'radio' || el.type === 'checkbox') {
+    el.checked = values.includes(el.value);
+  } else if (el.multiple) {
+    [...el.options].forEach((option) => { option.selected = values.includes(option.value); });
+  } else {
+    el.value = value;
+    el.dispatchEvent(new Event('input'));
+  }
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Adds instances to the repeatable panel till there is one for each of the items.
+ */
+function getInstances(wrapper, count) {
+  const instances = () => [...wrapper.querySelectorAll(':scope > [data-repeatable="true"]')];
+  const addButton = wrapper.querySelector(':scope > .repeat-actions .item-add');
+  while (addButton && instances().length < count && addButton.dataset.visible !== 'false') {
+    addButton.click();
+  }
+  return instances();
+}
+
+function restoreValues(container, data) {
+  const elements = getOwnElements(container);
+  Object.entries(data || {}).forEach(([name, value]) => {
+    const named = elements.filter((el) => el.name === name);
+    if (named[0]?.dataset.repeatable === 'true') {
+      const instances = getInstances(named[0].parentElement, value.length);
+      instances.forEach((instance, index) => restoreValues(instance, value[index]));
+    } else if (value != null) {
+      named.filter((el) => el.type !== 'file' && !el.matches('button, fieldset'))
+        .forEach((el) => restoreValue(el, value));
+    }
+  });
+}
+
+/**
+ * Sets the values of the html form from the data of a draft, see getFormPayload. Used for
+ * document based forms which don't have a form model.
+ * @param {HTMLFormElement} form
+ * @param {object} data
+ */
+export function restoreFormData(form, data) {
+  restoreValues(form, data);
+}
+
+/**
+ * Offers to restore the draft, if one exists, of the form.
+ * @param {HTMLFormElement} form
+ * @param {function(object): Promise<void>} restore restores the data of the draft in the form
+ */
+export async function offerDraft(form, restore) {
+  const draft = await getDraft(form);
+  if (!draft?.data) return;
+  const message = document.createElement('div');
+  message.className = 'form-message draft-message';
+  const text = document.createElement('p');
+  text.textContent = translate('formDraftFound', 'You have a saved draft from $0. Do you want to continue where you left off?')
+    .replace(/\$0/, new Date(draft.savedAt).toLocaleString(document.documentElement.lang || undefined));
+  const restoreButton = document.createElement('button');
+  restoreButton.type = 'button';
+  restoreButton.className = 'button draft-restore';
+  restoreButton.textContent = translate('formRestoreDraft', 'Restore draft');
+  const discardButton = document.createElement('button');
+  discardButton.type = 'button';
+  discardButton.className = 'button secondary draft-discard';
+  discardButton.textContent = translate('formDiscardDraft', 'Discard draft');
+  restoreButton.addEventListener('click', async () => {
+    message.remove();
+    await restore(draft.data);
+  });
+  discardButton.addEventListener('click', async () => {
+    message.remove();
+    await discardDraft(form);
+  });
+  message.append(text, restoreButton, discardButton);
+  form.parentNode?.insertBefore(message, form);
+}
+
+/**
+ * Saves a draft of the form in IndexedDB when its value changes and on click of the
+ * save draft button. The draft is removed on click of the discard draft button and on reset.
+ * @param {HTMLFormElement} form
+ * @param {function(): object|Promise<object>} getData returns the data of the form
+ */
+export default function enableDrafts(form, getData) {
+  let timer;
+  const save = async () => {
+    clearTimeout(timer);
+    const data = await getData();
+    return data ? saveDraft(form, data) : false;
+  };
+
+  form.addEventListener('change', () => {
+    clearTimeout(timer);
+    timer = setTimeout(save, AUTOSAVE_DELAY_MS);
+  });
+
+  form.addEventListener('click', async (e) => {
+    if (e.target.closest('.save-draft-wrapper')) {
+      const saved = await save();
+      showDraftStatus(form, saved ? translate('formDraftSaved', 'Your draft has been saved.')
+        : translate('formDraftNotSaved', 'Unable to save your draft.'));
+    } else if (e.target.closest('.discard-draft-wrapper')) {
+      clearTimeout(timer);
+      await discardDraft(form);
+      showDraftStatus(form, translate('formDraftDiscarded', 'Your draft has been discarded.'));
+    }
+  });
+
+  form.addEventListener('reset', () => {
+    clearTimeout(timer);
+    discardDraft(form);
+  });
+}
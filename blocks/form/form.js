@@ -6,22 +6,31 @@ import {
   checkValidation,
   toClassName,
   getSitePageName,
+  setDependentOptions,
 } from './util.js';
 import GoogleReCaptcha from './integrations/recaptcha.js';
 import componentDecorator from './mappings.js';
 import DocBasedFormToAF from './transform.js';
 import transferRepeatableDOM, { insertAddButton, insertRemoveButton } from './components/repeat/repeat.js';
-import { handleSubmit } from './submit.js';
-import { getSubmitBaseUrl, emailPattern } from './constant.js';
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import {
+  handleSubmit, getFormPayload, retryQueuedSubmissions, registerCaptcha,
+} from './submit.js';
+import applyMask from './mask.js';
+import { loadTranslations, preloadTranslations } from './i18n.js';
+import enableDrafts, { offerDraft, restoreFormData } from './draft.js';
+import showDiagnostics from './diagnostics.js';
+import {
+  getSubmitBaseUrl, emailPattern, parseOptionsAllowList,
+} from './constant.js';
+import { createOptimizedPicture, getMetadata, toCamelCase } from '../../scripts/aem.js';
 
 export const DELAY_MS = 0;
 let captchaField;
 let afModule;
 
-const withFieldWrapper = (element) => (fd) => {
+const withFieldWrapper = (element) => (fd, form) => {
   const wrapper = createFieldWrapper(fd);
-  wrapper.append(element(fd));
+  wrapper.append(element(fd, form));
   return wrapper;
 };
 
@@ -67,7 +76,133 @@ const createTextArea = withFieldWrapper((fd) => {
   return input;
 });
 
-const createSelect = withFieldWrapper((fd) => {
+const optionsRequests = new Map();
+
+function getPath(obj, path) {
+  return path ? path.split('.').reduce((value, key) => value?.[key], obj) : obj;
+}
+
+function getOptionsConfig(fd) {
+  const {
+    optionsSource, optionsLabelKey, optionsValueKey, optionsSheet, optionsCache,
+    optionsDependsOn, optionsFilterKey,
+  } = fd.properties || {};
+  const options = fd.enum || [];
+  const source = optionsSource
+    || (options.length === 1 && options[0]?.startsWith?.('https://') ? options[0] : null);
+  return source ? {
+    source,
+    labelKey: optionsLabelKey || 'Option',
+    valueKey: optionsValueKey || 'Value',
+    sheet: optionsSheet,
+    cache: optionsCache === true || optionsCache === 'true' || optionsCache === 'x',
+    dependsOn: optionsDependsOn,
+    filterKey: optionsFilterKey,
+  } : null;
+}
+
+/**
+ * Returns the url to fetch the options from. Options can only be fetched from the same origin,
+ * from an origin in the allow list or from a franklin sheet (fetched with the page origin)
+ * @param {string} source
+ * @param {string[]} allowList origins of the allow list of the form
+ * @returns {string|null}
+ */
+function getOptionsUrl(source, allowList) {
+  let url;
+  try {
+    url = new URL(source, window.location.href);
+  } catch (e) {
+    return null;
+  }
+  if (url.hostname.endsWith('hlx.page') || url.hostname.endsWith('hlx.live')) {
+    return `${url.pathname}${url.search}`;
+  }
+  if (url.origin === window.location.origin || allowList.includes(url.origin)) {
+    return url.href;
+  }
+  return null;
+}
+
+async function fetchOptionsJson(url, cache) {
+  const cacheKey = `form-options:${url}`;
+  if (cache) {
+    try {
+      const cached = JSON.parse(sessionStorage.getItem(cacheKey));
+      if (cached) {
+        return cached;
+      }
+    } catch (e) {
+      // ignore invalid cache entries
+    }
+  }
+  if (!optionsRequests.has(url)) {
+    optionsRequests.set(url, fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Unable to fetch options from ${url}`);
+      }
+      return response.json();
+    }).finally(() => optionsRequests.delete(url)));
+  }
+  const json = await optionsRequests.get(url);
+  if (cache) {
+    try {
+      sessionStorage.setItem(cacheKey, JSON.stringify(json));
+    } catch (e) {
+      // storage full or disabled
+    }
+  }
+  return json;
+}
+
+/**
+ * Fetches the options of a drop-down from a json endpoint. The rows are read from the sheet
+ * (or path) configured for the field, the label and value of each row from the configured keys.
+ * The allowList contains the origins, other than the page origin, allowed for the form.
+ * @returns {Promise<{label: string, value: string}[]>}
+ */
+export async function fetchOptions({
+  source, labelKey, valueKey, sheet, cache, filterKey, allowList = [],
+}) {
+  const url = getOptionsUrl(source, allowList);
+  if (!url) {
+    throw new Error(`Options source ${source} is not allowed`);
+  }
+  const json = await fetchOptionsJson(url, cache);
+  const data = getPath(json, sheet);
+  const rows = Array.isArray(data) ? data : data?.data;
+  return (rows || []).map((row) => {
+    const label = getPath(row, labelKey) ?? getPath(row, valueKey);
+    const value = getPath(row, valueKey) ?? label;
+    return {
+      label: `${label ?? ''}`,
+      value: `${value ?? ''}`,
+      ...(filterKey ? { filter: getPath(row, filterKey) } : {}),
+    };
+  });
+}
+
+/**
+ * Returns the origins from which the drop-downs of the form can fetch their options, see
+ * setOptionsAllowList.
+ * @param {HTMLFormElement} [form]
+ * @returns {string[]}
+ */
+function getOptionsAllowList(form) {
+  return form?.dataset.optionsAllowList?.split(',').filter((origin) => origin) || [];
+}
+
+/**
+ * Keeps the allow list of the options sources on the form, the fd:optionsAllowList property of
+ * the form or the form-options-allow-list metadata of the page, so that every form of the page
+ * has its own.
+ */
+function setOptionsAllowList(form, formDef) {
+  form.dataset.optionsAllowList = parseOptionsAllowList(formDef.properties?.['fd:optionsAllowList']
+    || getMetadata('form-options-allow-list')).join(',');
+}
+
+const createSelect = withFieldWrapper((fd, form) => {
   const select = document.createElement('select');
   select.required = fd.required;
   select.title = fd.tooltip ? stripTags(fd.tooltip, '') : '';
@@ -97,23 +232,33 @@ const createSelect = withFieldWrapper((fd) => {
 
   const options = fd?.enum || [];
   const optionNames = fd?.enumNames ?? options;
+  const optionsConfig = getOptionsConfig(fd);
 
-  if (options.length === 1
-    && options?.[0]?.startsWith('https://')) {
-    const optionsUrl = new URL(options?.[0]);
+  if (optionsConfig) {
     // using async to avoid rendering
-    if (optionsUrl.hostname.endsWith('hlx.page')
-    || optionsUrl.hostname.endsWith('hlx.live')) {
-      fetch(`${optionsUrl.pathname}${optionsUrl.search}`)
-        .then(async (response) => {
-          const json = await response.json();
-          const values = [];
-          json.data.forEach((opt) => {
-            addOption(opt.Option, opt.Value);
-            values.push(opt.Value || opt.Option);
-          });
-        });
+    select.dataset.optionsStatus = 'loading';
+    if (optionsConfig.dependsOn) {
+      // options are rendered by the rule engine, based on the value of the parent field
+      select.dataset.optionsDependsOn = optionsConfig.dependsOn;
     }
+    fetchOptions({ ...optionsConfig, allowList: getOptionsAllowList(form) })
+      .then((remoteOptions) => {
+        if (optionsConfig.dependsOn) {
+          setDependentOptions(select, remoteOptions);
+        } else {
+          remoteOptions.forEach(({ label, value }) => addOption(label, value));
+        }
+        if (ph && optionSelected === false) {
+          ph.setAttribute('selected', '');
+        }
+        select.dataset.optionsStatus = 'loaded';
+        select.dispatchEvent(new CustomEvent('options:load', { bubbles: true }));
+      })
+      .catch((error) => {
+        select.dataset.optionsStatus = 'error';
+        // eslint-disable-next-line no-console
+        console.error(error);
+      });
   } else {
     options.forEach((value, index) => addOption(optionNames?.[index], value));
   }
@@ -200,7 +345,7 @@ function createRadioOrCheckboxGroup(fd) {
       enum: [value],
       required: fd.required,
     });
-    const { variant, 'afs:layout': layout } = fd.properties;
+    const { variant, 'afs:layout': layout } = fd.properties || {};
     if (variant === 'cards') {
       wrapper.classList.add(variant);
     } else {
@@ -270,6 +415,31 @@ const fieldRenderers = {
   heading: createHeading,
 };
 
+// field types whose renderer decorates its own inputs
+const undecoratedFieldTypes = new Set(['radio-group', 'checkbox-group', 'captcha']);
+
+/**
+ * Registers a renderer for a fieldType. The renderer receives the field definition and must
+ * return the field wrapper. Help text, column span and css classes are applied to the returned
+ * element the same way as for the built-in field types.
+ * @param {string} fieldType fieldType of the field e.g. 'signature'
+ * @param {Function} renderer function that creates the field wrapper from the field definition
+ * @param {{decorateInput?: boolean}} options set decorateInput to false if the renderer sets the
+ * id, name, value and constraints of its inputs itself
+ */
+export function registerFieldRenderer(fieldType, renderer, { decorateInput = true } = {}) {
+  if (typeof renderer !== 'function') {
+    throw new Error(`Renderer for ${fieldType} must be a function`);
+  }
+  const renderType = getHTMLRenderType({ fieldType });
+  fieldRenderers[renderType] = renderer;
+  if (decorateInput) {
+    undecoratedFieldTypes.delete(renderType);
+  } else {
+    undecoratedFieldTypes.add(renderType);
+  }
+}
+
 function colSpanDecorator(field, element) {
   const colSpan = field['Column Span'] || field.properties?.colspan;
   if (colSpan && element) {
@@ -319,6 +489,9 @@ function inputDecorator(field, element) {
         input.value = field?.enum?.[0] ?? 'on';
         input.checked = field.value === input.value;
       }
+      if (field.properties?.['fd:mask'] && ['text', 'tel'].includes(input.type)) {
+        applyMask(input, field.properties['fd:mask']);
+      }
     } else {
       input.multiple = field.type === 'file[]';
     }
@@ -348,12 +521,12 @@ function inputDecorator(field, element) {
   }
 }
 
-function renderField(fd) {
-  const fieldType = fd?.fieldType?.replace('-input', '') ?? 'text';
+function renderField(fd, form) {
+  const fieldType = getHTMLRenderType(fd);
   const renderer = fieldRenderers[fieldType];
   let field;
   if (typeof renderer === 'function') {
-    field = renderer(fd);
+    field = renderer(fd, form);
   } else {
     field = createFieldWrapper(fd);
     field.append(createInput(fd));
@@ -362,13 +535,22 @@ function renderField(fd) {
     field.append(createHelpText(fd));
     field.dataset.description = fd.description; // In case overriden by error message
   }
-  if (fd.fieldType !== 'radio-group' && fd.fieldType !== 'checkbox-group' && fd.fieldType !== 'captcha') {
+  if (!undecoratedFieldTypes.has(fieldType)) {
     inputDecorator(fd, field);
   }
   return field;
 }
 
-export async function generateFormRendition(panel, container, getItems = (p) => p?.items) {
+/**
+ * Renders the items of the panel in the container. The form is the form element the panel
+ * belongs to, the container itself when the form is rendered.
+ */
+export async function generateFormRendition(
+  panel,
+  container,
+  getItems = (p) => p?.items,
+  form = container.closest('form') ?? container,
+) {
   const items = getItems(panel) || [];
   const promises = items.map(async (field) => {
     field.value = field.value ?? '';
@@ -379,13 +561,13 @@ export async function generateFormRendition(panel, container, getItems = (p) =>
       element.textContent = 'CAPTCHA';
       return element;
     }
-    const element = renderField(field);
+    const element = renderField(field, form);
     if (field.appliedCssClassNames) {
       element.className += ` ${field.appliedCssClassNames}`;
     }
     colSpanDecorator(field, element);
     if (field?.fieldType === 'panel') {
-      await generateFormRendition(field, element, getItems);
+      await generateFormRendition(field, element, getItems, form);
       return element;
     }
     await componentDecorator(element, field, container);
@@ -411,6 +593,7 @@ function enableValidation(form) {
 
 async function createFormForAuthoring(formDef) {
   const form = document.createElement('form');
+  setOptionsAllowList(form, formDef);
   await generateFormRendition(formDef, form, (container) => {
     if (container[':itemsOrder'] && container[':items']) {
       return container[':itemsOrder'].map((itemKey) => container[':items'][itemKey]);
@@ -428,6 +611,7 @@ export async function createForm(formDef, data) {
   if (formDef.appliedCssClassNames) {
     form.className = formDef.appliedCssClassNames;
   }
+  setOptionsAllowList(form, formDef);
   await generateFormRendition(formDef, form);
 
   let captcha;
@@ -443,6 +627,8 @@ export async function createForm(formDef, data) {
     const pageName = getSitePageName(captchaField?.properties?.['fd:path']);
     captcha = new GoogleReCaptcha(config, captchaField.id, captchaField.name, pageName);
     captcha.loadCaptcha(form);
+    // the queued submissions of the form are sent with a new token, see retryQueuedSubmissions
+    registerCaptcha(form, captcha);
   }
 
   enableValidation(form);
@@ -467,7 +653,7 @@ export async function createForm(formDef, data) {
 }
 
 function isDocumentBasedForm(formDef) {
-  return formDef?.[':type'] === 'sheet' && formDef?.data;
+  return (formDef?.[':type'] === 'sheet' && formDef?.data) || formDef?.[':type'] === 'multi-sheet';
 }
 
 function cleanUp(content) {
@@ -542,7 +728,44 @@ export async function fetchForm(pathname) {
   return data;
 }
 
+function getDraftData(form) {
+  if (form.dataset.source === 'sheet') {
+    // the draft keeps the repeatable panels, see restoreFormData
+    return getFormPayload(form, { structured: true });
+  }
+  return afModule?.getFormModel(form)?.exportData();
+}
+
+/**
+ * Returns the translations of the form, the placeholders property of the form definition or the
+ * placeholders sheet of the workbook of a document based form, see loadTranslations.
+ */
+function getPlaceholders(formDef) {
+  if (formDef.properties?.placeholders) {
+    return formDef.properties.placeholders;
+  }
+  const rows = formDef[':type'] === 'multi-sheet' ? formDef.placeholders?.data : null;
+  return rows ? Object.fromEntries(rows.filter(({ Key, Text }) => Key && Text)
+    .map(({ Key, Text }) => [toCamelCase(Key), Text])) : null;
+}
+
+async function restoreDraft(form, formDef, data) {
+  if (form.dataset.source === 'sheet') {
+    restoreFormData(form, data);
+    return;
+  }
+  // the draft is restored like the prefill data, by rendering the form again
+  const model = afModule.getFormModel(form);
+  const newForm = await afModule.initAdaptiveForm(formDef, createForm, data);
+  Object.assign(newForm.dataset, form.dataset);
+  form.replaceWith(newForm);
+  // the worker of the replaced form, the new form has its own
+  model?.terminate?.();
+  enableDrafts(newForm, () => getDraftData(newForm));
+}
+
 export default async function decorate(block) {
+  preloadTranslations();
   let container = block.querySelector('a[href]');
   let formDef;
   let pathname;
@@ -555,15 +778,19 @@ export default async function decorate(block) {
   let source = 'aem';
   let rules = true;
   let form;
+  let errors = [];
   if (formDef) {
     formDef.action = getSubmitBaseUrl() + (formDef.action || '');
+    await loadTranslations(getPlaceholders(formDef) || {});
     if (isDocumentBasedForm(formDef)) {
       const transform = new DocBasedFormToAF();
       formDef = transform.transform(formDef);
+      ({ errors } = transform);
       source = 'sheet';
       form = await createForm(formDef);
       const docRuleEngine = await import('./rules-doc/index.js');
       docRuleEngine.default(formDef, form);
+      retryQueuedSubmissions();
       rules = false;
     } else {
       afModule = await import('./rules/index.js');
@@ -579,9 +806,19 @@ export default async function decorate(block) {
     form.dataset.source = source;
     form.dataset.rules = rules;
     form.dataset.id = formDef.id;
+    if (block.classList.contains('structured-payload')) {
+      // arrays for the repeatable panels and checkbox groups, see getFormPayload
+      form.dataset.payloadFormat = 'structured';
+    }
     if (source === 'aem' && formDef.properties) {
       form.dataset.formpath = formDef.properties['fd:path'];
     }
     container.replaceWith(form);
+    showDiagnostics(form, errors);
+    const autoSave = block.classList.contains('autosave') || formDef.properties?.autoSave;
+    if (autoSave && !block.classList.contains('edit-mode')) {
+      enableDrafts(form, () => getDraftData(form));
+      offerDraft(form, (data) => restoreDraft(form, formDef, data));
+    }
   }
 }
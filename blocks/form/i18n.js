@@ -0,0 +1,58 @@
+import { fetchPlaceholders } from '../../scripts/aem.js';
+import { defaultErrorMessages } from './constant.js';
+
+let translations = {};
+let sitePlaceholders;
+
+/**
+ * Fetches the placeholders of the site for the language of the page (<html lang>), once for all
+ * the forms of the page. The placeholders of the language override the default placeholders,
+ * e.g. for fr-CA /placeholders.json, /fr/placeholders.json and /fr-ca/placeholders.json are
+ * merged in that order. Called before the form definition is fetched, so that both are loaded
+ * in parallel.
+ * @returns {Promise<Object<string, string>>}
+ */
+export function preloadTranslations() {
+  if (!sitePlaceholders) {
+    const lang = (document.documentElement.lang || '').toLowerCase();
+    const [language] = lang.split('-');
+    const prefixes = [...new Set([language, lang])].filter((x) => x).map((x) => `/${x}`);
+    sitePlaceholders = Promise.all(['default', ...prefixes].map(fetchPlaceholders))
+      .then((placeholders) => Object.assign({}, ...placeholders));
+  }
+  return sitePlaceholders;
+}
+
+/**
+ * Loads the translations of the form strings from the placeholders of the site, see
+ * preloadTranslations. The overrides, e.g. specified in the form definition, have the highest
+ * priority.
+ * @param {Object<string, string>} overrides translations keyed by the camel cased placeholder key
+ */
+export async function loadTranslations(overrides = {}) {
+  translations = { ...await preloadTranslations(), ...overrides };
+}
+
+/**
+ * Returns the translated text for the key, or the given text if there is no translation.
+ * @param {string} key camel cased placeholder key e.g. formNext for the form-next key
+ * @param {string} text english text
+ * @returns {string}
+ */
+export function translate(key, text) {
+  return translations[key] || text;
+}
+
+/**
+ * Returns the translated default error message of the constraint, e.g. for maxLength
+ * the form-error-max-length placeholder.
+ * @param {string} constraint
+ * @returns {string}
+ */
+export function getErrorMessage(constraint) {
+  if (!constraint) {
+    return undefined;
+  }
+  const key = `formError${constraint.charAt(0).toUpperCase()}${constraint.slice(1)}`;
+  return translate(key, defaultErrorMessages[constraint]);
+}
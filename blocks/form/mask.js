@@ -0,0 +1,101 @@
+/**
+ * Input masks e.g. (###) ###-#### or #### #### #### ####.
+ * # accepts a digit, A accepts a letter and * accepts a letter or a digit,
+ * any other character of the mask is a literal inserted while typing.
+ */
+const maskTokens = {
+  '#': /\d/,
+  A: /[a-zA-Z]/,
+  '*': /[a-zA-Z0-9]/,
+};
+
+/**
+ * Returns the characters of the value entered by the user, removing the literals of the mask.
+ * @param {string} value masked value
+ * @param {string} mask
+ * @returns {string}
+ */
+export function unmask(value, mask) {
+  let raw = '';
+  let m = 0;
+  [...`${value ?? ''}`].forEach((char) => {
+    if (m < mask.length && !maskTokens[mask[m]] && mask[m] === char) {
+      m += 1;
+      return;
+    }
+    while (m < mask.length && !maskTokens[mask[m]]) {
+      m += 1;
+    }
+    if (m < mask.length && maskTokens[mask[m]].test(char)) {
+      raw += char;
+      m += 1;
+    }
+  });
+  return raw;
+}
+
+/**
+ * Formats the value as per the mask, literals are added only till the last entered character.
+ * @param {string} value
+ * @param {string} mask
+ * @returns {string}
+ */
+export function formatMasked(value, mask) {
+  const raw = unmask(value, mask);
+  let formatted = '';
+  let r = 0;
+  [...mask].every((char) => {
+    if (r >= raw.length) {
+      return false;
+    }
+    if (maskTokens[char]) {
+      formatted += raw[r];
+      r += 1;
+    } else {
+      formatted += char;
+    }
+    return true;
+  });
+  return formatted;
+}
+
+function getPattern(mask) {
+  return [...mask].map((char) => maskTokens[char]?.source
+    ?? char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('');
+}
+
+function getCaretPosition(formatted, mask, rawCount) {
+  let count = 0;
+  let position = 0;
+  while (position < formatted.length && count < rawCount) {
+    if (maskTokens[mask[position]]) {
+      count += 1;
+    }
+    position += 1;
+  }
+  return position;
+}
+
+/**
+ * Masks the value of the input as the user types, keeping the caret after the same character.
+ * The unmasked value is sent to the model, see {@link unmask}.
+ * @param {HTMLInputElement} input
+ * @param {string} mask
+ */
+export default function applyMask(input, mask) {
+  input.dataset.mask = mask;
+  if (!input.pattern) {
+    input.pattern = getPattern(mask);
+  }
+  input.value = formatMasked(input.value, mask);
+  input.addEventListener('input', () => {
+    const { value, selectionStart } = input;
+    const rawCount = unmask(value.slice(0, selectionStart ?? value.length), mask).length;
+    const formatted = formatMasked(value, mask);
+    if (formatted !== value) {
+      input.value = formatted;
+      const position = getCaretPosition(formatted, mask, rawCount);
+      input.setSelectionRange(position, position);
+    }
+  });
+}
@@ -0,0 +1,151 @@
+import {
+  getAllItems, getItem, setItem, removeItem,
+} from './db.js';
+import { getSubmitRequestOptions, addCaptchaToken } from './util.js';
+
+const SUBMISSIONS = 'submissions';
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+// the submissions which still fail after that many attempts are dropped
+const MAX_ATTEMPTS = 10;
+
+const sentCallbacks = [];
+let getCaptchaToken = async () => null;
+let retryTimer;
+let processing = false;
+let registered = false;
+
+/**
+ * fetch rejects (with a TypeError) only when the request couldn't be sent e.g. offline,
+ * server errors are retried as well since the submission may succeed later.
+ */
+function isRetryable(response) {
+  return !response || response.status >= 500;
+}
+
+async function send(submission) {
+  try {
+    let { body } = submission;
+    if (submission.captcha) {
+      // a new token for every attempt, the submission is sent once the form is on the page
+      const token = await getCaptchaToken(submission);
+      if (!token) return null;
+      body = addCaptchaToken(body, token);
+    }
+    return await fetch(submission.url, getSubmitRequestOptions({ ...submission, body }));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function retry(submission) {
+  const response = await send(submission);
+  const { id } = submission;
+  const attempts = submission.attempts + 1;
+  if (isRetryable(response) && attempts < MAX_ATTEMPTS) {
+    await setItem(SUBMISSIONS, id, { ...submission, attempts });
+    return attempts;
+  }
+  await removeItem(SUBMISSIONS, id);
+  if (!response?.ok) {
+    // eslint-disable-next-line no-console
+    console.error('queued submission rejected', id, response?.status ?? 'network error', `after ${attempts} attempts`);
+  }
+  sentCallbacks.forEach((callback) => callback(id, response));
+  return undefined;
+}
+
+/**
+ * Sends the queued submissions, the ones which fail again are retried with exponential backoff.
+ */
+export async function processQueue() {
+  if (processing || !navigator.onLine) return;
+  processing = true;
+  let attempts = [];
+  try {
+    const submissions = await getAllItems(SUBMISSIONS);
+    attempts = (await Promise.all(submissions.map(retry))).filter((x) => x !== undefined);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('unable to process the queued submissions', e);
+  } finally {
+    processing = false;
+  }
+  if (attempts.length) {
+    clearTimeout(retryTimer);
+    const delay = Math.min(RETRY_DELAY_MS * 2 ** Math.min(...attempts), MAX_RETRY_DELAY_MS);
+    retryTimer = setTimeout(processQueue, delay);
+  }
+}
+
+/**
+ * Stores a submission which couldn't be sent. The __id__ of the payload is used as the key,
+ * so queueing the same submission again doesn't send it twice. The submission of a form with a
+ * captcha is queued without the token, a new one is requested when it is sent.
+ * @param {{url: string, headers: object, body: {data: object}, attachments?: object[],
+ * captcha?: string}} request captcha is the action of the form whose captcha is used
+ * @returns {Promise<string|null>} key of the queued submission, null if it couldn't be queued
+ */
+export async function queueSubmission({
+  url, headers, body, attachments, captcha = null,
+}) {
+  const { __id__: key } = body.data;
+  const id = `${key}`;
+  try {
+    const queued = await getItem(SUBMISSIONS, id);
+    await setItem(SUBMISSIONS, id, {
+      id,
+      url,
+      headers,
+      body,
+      attachments,
+      captcha,
+      attempts: queued?.attempts ?? 0,
+      queuedAt: Date.now(),
+    });
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(processQueue, RETRY_DELAY_MS);
+    return id;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('unable to queue the submission', e);
+    return null;
+  }
+}
+
+/**
+ * Removes the queued submission, e.g. when the same submission is sent again successfully.
+ * @param {string} id key of the queued submission, the __id__ of the payload
+ */
+export async function dequeueSubmission(id) {
+  try {
+    await removeItem(SUBMISSIONS, `${id}`);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('unable to remove the queued submission', e);
+  }
+}
+
+/**
+ * Sends the pending submissions, of this or previous visits, when the browser is back online.
+ * @param {function(string, Response|null): void} [onSent] called when a queued submission is
+ * sent, or dropped after the maximum number of attempts (the response is null if it wasn't sent)
+ * @param {function(object): Promise<string|null>} [captchaToken] returns a new captcha token
+ * for the queued submission, null if the captcha of its form isn't available
+ */
+export default function registerQueue(onSent, captchaToken) {
+  if (onSent && !sentCallbacks.includes(onSent)) {
+    sentCallbacks.push(onSent);
+  }
+  if (captchaToken) {
+    getCaptchaToken = captchaToken;
+  }
+  if (!registered) {
+    registered = true;
+    window.addEventListener('online', () => {
+      clearTimeout(retryTimer);
+      processQueue();
+    });
+    processQueue();
+  }
+}
@@ -0,0 +1,140 @@
+/** ***********************************************************************
+ * ADOBE CONFIDENTIAL
+ * ___________________
+ *
+ * Copyright 2024 Adobe
+ * All Rights Reserved.
+ *
+ * NOTICE: All information contained herein is, and remains
+ * the property of Adobe and its suppliers, if any. The intellectual
+ * and technical concepts contained herein are proprietary to Adobe
+ * and its suppliers and are protected by all applicable intellectual
+ * property laws, including trade secret and copyright laws.
+ * Dissemination of this information or reproduction of this material
+ * is strictly forbidden unless prior written permission is obtained
+ * from Adobe.
+
+ * Adobe permits you to use and modify this file solely in accordance with
+ * the terms of the Adobe license agreement accompanying it.
+ ************************************************************************ */
+
+/**
+ * Returns the strongly connected components of the graph (Tarjan's algorithm), i.e. the fields
+ * whose values depend on each other.
+ * @param {Object<string, string[]>} graph dependents keyed by field id
+ * @returns {Array<string[]>}
+ */
+function getComponents(graph) {
+  const indexes = {};
+  const lowLinks = {};
+  const stack = [];
+  const components = [];
+  let index = 0;
+  const visit = (node) => {
+    indexes[node] = index;
+    lowLinks[node] = index;
+    index += 1;
+    stack.push(node);
+    (graph[node] || []).forEach((next) => {
+      if (!(next in indexes)) {
+        visit(next);
+        lowLinks[node] = Math.min(lowLinks[node], lowLinks[next]);
+      } else if (stack.includes(next)) {
+        lowLinks[node] = Math.min(lowLinks[node], indexes[next]);
+      }
+    });
+    if (lowLinks[node] === indexes[node]) {
+      const component = stack.splice(stack.indexOf(node));
+      components.push(component);
+    }
+  };
+  Object.keys(graph).forEach((node) => {
+    if (!(node in indexes)) {
+      visit(node);
+    }
+  });
+  return components;
+}
+
+/**
+ * Returns the position of the fields in the topological order of the graph (Kahn's algorithm),
+ * the fields are sorted by row when they don't depend on each other.
+ * @param {Object<string, string[]>} graph dependents keyed by field id, without cycles
+ * @param {string[]} fields field ids in the order of the rows
+ * @returns {Object<string, number>}
+ */
+function getOrder(graph, fields) {
+  const inDegree = Object.fromEntries(fields.map((field) => [field, 0]));
+  Object.values(graph).flat().forEach((field) => {
+    inDegree[field] += 1;
+  });
+  const queue = fields.filter((field) => inDegree[field] === 0);
+  const order = {};
+  while (queue.length > 0) {
+    const field = queue.shift();
+    order[field] = Object.keys(order).length;
+    (graph[field] || []).forEach((next) => {
+      inDegree[next] -= 1;
+      if (inDegree[next] === 0) {
+        queue.push(next);
+      }
+    });
+  }
+  return order;
+}
+
+/**
+ * Analyzes the dependencies between the rules of a document based form. Reports the references
+ * to unknown cells and the circular references between the value expressions, with the rows of
+ * the fields in the sheet, like the errors of DocBasedFormToAF. The value expressions of the
+ * fields part of a cycle are not applied, the other rules are applied in the topological order
+ * of the fields.
+ * @param {Array<[string, Array<{prop: string, deps: string[], unknown: string[]}>]>} formRules
+ * compiled rules keyed by field id, see RuleCompiler.js
+ * @param {Object<number, {name: string, id: string}>} fieldIdMap fields keyed by row number
+ * @returns {{
+ *   errors: Array<{row: number, severity: 'error', message: string}>,
+ *   cycles: Set<string>,
+ *   order: Object<string, number>
+ * }} the errors, the fields part of a cycle and the position of the fields in the order of
+ * evaluation
+ */
+export default function analyzeDependencies(formRules, fieldIdMap) {
+  const rows = Object.fromEntries(Object.entries(fieldIdMap || {})
+    .map(([row, { id }]) => [id, Number(row)]));
+  const errors = [];
+  const graph = {};
+  formRules.forEach(([fieldId, rules]) => {
+    rules.forEach(({ prop, deps, unknown = [] }) => {
+      unknown.forEach((ref) => {
+        errors.push({ row: rows[fieldId], severity: 'error', message: `Unknown reference ${ref} in the ${prop} expression.` });
+      });
+      deps.forEach((dep) => {
+        graph[dep] = graph[dep] || [];
+        // only the value expressions change the values the rules depend on
+        if (prop === 'value') {
+          graph[dep].push(fieldId);
+        }
+      });
+    });
+    graph[fieldId] = graph[fieldId] || [];
+  });
+
+  const cycles = new Set();
+  getComponents(graph)
+    .filter((component) => component.length > 1 || graph[component[0]].includes(component[0]))
+    .forEach((component) => {
+      const fields = component.sort((a, b) => (rows[a] || 0) - (rows[b] || 0));
+      fields.forEach((field) => cycles.add(field));
+      errors.push({
+        row: rows[fields[0]],
+        severity: 'error',
+        message: `Circular reference between the value expressions of the rows ${fields.map((field) => rows[field]).join(', ')}, they are not applied.`,
+      });
+    });
+
+  const acyclicGraph = Object.fromEntries(Object.entries(graph)
+    .map(([field, dependents]) => [field, dependents.filter((x) => !cycles.has(x))]));
+  const fields = Object.keys(graph).sort((a, b) => (rows[a] || 0) - (rows[b] || 0));
+  return { errors, cycles, order: getOrder(acyclicGraph, fields) };
+}
@@ -18,20 +18,75 @@
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
 const cellNameRegex = /^\$?[A-Z]+\$?(\d+)$/;
+// the row is optional for the ranges of whole columns e.g. Rates!A:B
+const cellRegex = /^\$?([A-Z]+)\$?(\d*)$/;
 
-function visitor(nameMap, fields, bExcelFormula) {
+function parseCell(name) {
+  const match = cellRegex.exec(name || '');
+  if (!match) {
+    return null;
+  }
+  const column = [...match[1]].reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  return { column, row: match[2] ? parseInt(match[2], 10) : null };
+}
+
+function findSheet(sheets, name) {
+  const key = Object.keys(sheets || {}).find((x) => x.toLowerCase() === `${name}`.toLowerCase());
+  return key ? sheets[key] : null;
+}
+
+/**
+ * Returns the values of the cells of another sheet, as an array of rows. The first row of the
+ * sheet is the header, the data starts at row 2.
+ */
+function getSheetValues(rows, from, to) {
+  const columns = Object.keys(rows[0] || {});
+  const header = Object.fromEntries(columns.map((column) => [column, column]));
+  const values = [];
+  for (let r = from.row ?? 2; r <= (to.row ?? rows.length + 1); r += 1) {
+    const row = r === 1 ? header : rows[r - 2] || {};
+    const cells = [];
+    for (let c = from.column; c <= to.column; c += 1) {
+      cells.push(row[columns[c]] ?? null);
+    }
+    values.push(cells);
+  }
+  return values;
+}
+
+/**
+ * Resolves a reference to another sheet of the workbook e.g. Rates!B2 or Rates!A2:C10. The sheets
+ * don't change hence the values are resolved when the rule is compiled.
+ */
+function resolveSheetReference(sheets, sheetName, ref, unknown) {
+  const rows = findSheet(sheets, sheetName);
+  const refCells = ref?.type === 'Range' ? ref.children : [ref, ref];
+  const cells = refCells.map((c) => parseCell(c?.name));
+  if (!rows || cells.some((cell) => !cell)) {
+    const name = ref?.type === 'Range' ? refCells.map((c) => c?.name).join(':') : ref?.name;
+    unknown.add(`${sheetName}!${name || ''}`);
+    return { type: 'Literal', value: null };
+  }
+  const values = getSheetValues(rows, ...cells);
+  return ref.type === 'Range' ? { type: 'Range', value: values } : { type: 'Literal', value: values[0][0] };
+}
+
+function visitor(nameMap, fields, unknown, bExcelFormula, sheets) {
   return function visit(n) {
     if (n.type === 'Field') {
       const name = n?.name;
       let field;
+      if (bExcelFormula && /^(TRUE|FALSE)$/i.test(name)) {
+        return { type: 'Literal', value: name.toUpperCase() === 'TRUE' };
+      }
       if (bExcelFormula) {
         const match = cellNameRegex.exec(name);
         if (match?.[1]) {
           field = nameMap[match[1]];
         }
         if (!field) {
-          // eslint-disable-next-line no-console
-          console.log(`Unknown column used in excel formula ${n.name}`);
+          // reported by the dependency analyzer, see DependencyAnalyzer.js
+          unknown.add(name);
         } else {
           n.name = field.name;
           fields.add(field.id);
@@ -42,10 +97,21 @@ function visitor(nameMap, fields, bExcelFormula) {
     } if (n.type === 'Function') {
       n.name = n.name.toLowerCase();
     } else if (n.type === 'Subexpression') {
-      return visit({
-        type: 'Field',
-        name: n.children[1].name,
-      }, n.children[0].name);
+      return resolveSheetReference(sheets, n.children[0].name, n.children[1], unknown);
+    } else if (n.type === 'Range' && bExcelFormula) {
+      // a range of the form e.g. B2:B5 is the list of the values of the fields of the rows
+      const [from, to] = n.children.map((c) => parseCell(c.name));
+      if (!from?.row || !to?.row) {
+        unknown.add(n.children.map((c) => c.name).join(':'));
+      }
+      const children = [];
+      for (let row = from?.row; row <= to?.row; row += 1) {
+        if (nameMap[row]) {
+          fields.add(nameMap[row].id);
+          children.push({ type: 'Field', name: nameMap[row].name });
+        }
+      }
+      return { type: 'Range', children };
     }
     return {
       ...n,
@@ -54,20 +120,31 @@ function visitor(nameMap, fields, bExcelFormula) {
   };
 }
 
-function updateCellNames(ast, rowNumberFieldMap, bExcelFormula = true) {
+function updateCellNames(ast, rowNumberFieldMap, bExcelFormula = true, sheets = {}) {
   const fields = new Set();
-  const newAst = visitor(rowNumberFieldMap, fields, bExcelFormula)(ast);
-  return [newAst, Array.from(fields)];
+  const unknown = new Set();
+  const newAst = visitor(rowNumberFieldMap, fields, unknown, bExcelFormula, sheets)(ast);
+  return [newAst, Array.from(fields), Array.from(unknown)];
 }
 
-export default function transformRule({ prop, expression }, fieldToCellMap, formula) {
+/**
+ * Compiles the expression of a rule, replacing the cell names by the names of the fields.
+ * @param {{prop: string, expression: string}} rule
+ * @param {Object<number, {name: string, id: string}>} fieldToCellMap fields keyed by row number
+ * @param {Formula} formula
+ * @param {Object<string, object[]>} [sheets] rows of the other sheets of the workbook
+ * @returns {{prop: string, deps: string[], unknown: string[], ast: object}} the ids of the fields
+ * the rule depends on and the references to cells which are not fields, e.g. A99
+ */
+export default function transformRule({ prop, expression }, fieldToCellMap, formula, sheets) {
   const biSExcelFormula = expression.startsWith('=');
   const updatedExpression = biSExcelFormula ? expression.slice(1) : expression;
   const ast = formula.compile(updatedExpression);
-  const [newAst, deps] = updateCellNames(ast, fieldToCellMap, biSExcelFormula);
+  const [newAst, deps, unknown] = updateCellNames(ast, fieldToCellMap, biSExcelFormula, sheets);
   return {
     prop,
     deps,
+    unknown,
     ast: newAst,
   };
 }
@@ -19,8 +19,16 @@
  ************************************************************************ */
 /* eslint-disable max-classes-per-file */
 import Formula from './parser/Formula.js';
+import { getISODate } from './parser/utils.js';
 import transformRule from './RuleCompiler.js';
+import analyzeDependencies from './DependencyAnalyzer.js';
 import * as customFunctions from '../functions.js';
+import {
+  getDependentOptions, updateSelectOptions, createLabel, updateOrCreateInvalidMsg, checkValidation,
+} from '../util.js';
+import { getErrorMessage } from '../i18n.js';
+import { unmask, formatMasked } from '../mask.js';
+import { updateDisplayValue } from './displayFormat.js';
 
 function stripTags(input, allowd) {
   const allowed = ((`${allowd || ''}`)
@@ -49,11 +57,27 @@ const isRepeatableFieldset = (e) => isFieldset(e) && e.getAttribute('data-repeat
 
 const isDataElement = (element) => element.tagName !== 'BUTTON' && !isFieldset(element) && element.name;
 
+// the validity of radio and checkbox groups is set on their inputs
+const getValidationElement = (element) => (isFieldset(element) ? element.querySelector('input') || element : element);
+
+function setReadOnly(element, readOnly) {
+  if (element.tagName === 'SELECT' || element.type === 'radio' || element.type === 'checkbox') {
+    element.disabled = readOnly;
+  } else {
+    element.readOnly = readOnly;
+  }
+  element.toggleAttribute('aria-readonly', readOnly);
+}
+
 function getValue(fe) {
   if (fe.type === 'checkbox' || fe.type === 'radio') {
     if (fe.checked) return coerceValue(fe.value);
   } else if (fe.tagName === 'OUTPUT') {
     return fe.dataset.value;
+  } else if (fe.dataset.mask) {
+    return unmask(fe.value, fe.dataset.mask);
+  } else if (fe.hasAttribute('edit-value')) {
+    return coerceValue(fe.getAttribute('edit-value'));
   } else if (fe.name) {
     return coerceValue(fe.value);
   }
@@ -69,16 +93,35 @@ function constructData(elements) {
   return payload;
 }
 
+// the value of the radio group is the value of its checked radio button
+function getInstanceData(fieldset) {
+  return [...fieldset.elements].filter(isDataElement).reduce((data, e) => {
+    const value = getValue(e);
+    if (value !== undefined || !(e.name in data)) {
+      data[e.name] = value;
+    }
+    return data;
+  }, {});
+}
+
+const getInstances = (form, fieldsetName) => [...form.querySelectorAll(`fieldset[data-repeatable="true"][name="${fieldsetName}"]`)];
+
+// the template of the instances of the repeatable panel, see repeat.js
+const getRepeatTemplate = (form, fieldsetName) => [...form.querySelectorAll('.repeat-wrapper')]
+  .map((wrapper) => wrapper['#repeat-template'])
+  .find((template) => template?.name === fieldsetName);
+
 function getFieldsetPayload(form, fieldsetName) {
-  let fieldsets = form.elements[fieldsetName];
-  if (!(fieldsets instanceof NodeList)) {
-    fieldsets = [fieldsets];
-  }
   const payload = {};
-  fieldsets.forEach((fe, i) => {
-    [...fe.elements].filter(isDataElement).forEach((e) => {
-      payload[e.name] = payload[e.name] || [];
-      payload[e.name][i] = getValue(e);
+  // the fields of the panel have no value when all of its instances are removed
+  const template = getRepeatTemplate(form, fieldsetName);
+  [...(template?.elements || [])].filter(isDataElement).forEach((e) => {
+    payload[e.name] = [];
+  });
+  getInstances(form, fieldsetName).forEach((fe, i) => {
+    Object.entries(getInstanceData(fe)).forEach(([name, value]) => {
+      payload[name] = payload[name] || [];
+      payload[name][i] = value;
     });
   });
   return payload;
@@ -124,13 +167,21 @@ function registerFunctions(functions) {
 export default class RuleEngine {
   rulesOrder = {};
 
-  constructor(formRules, fieldIdMap, formTag) {
+  constructor(formRules, fieldIdMap, formTag, sheets) {
     this.formTag = formTag;
     this.data = constructPayload(formTag);
     this.formula = new Formula(registerFunctions(customFunctions));
-    const newRules = formRules.map(([fieldId, fieldRules]) => [
+    const compiledRules = formRules.map(([fieldId, fieldRules]) => [
       fieldId,
-      fieldRules.map((rule) => transformRule(rule, fieldIdMap, this.formula)),
+      fieldRules.map((rule) => transformRule(rule, fieldIdMap, this.formula, sheets)),
+    ]);
+    const { errors, cycles, order } = analyzeDependencies(compiledRules, fieldIdMap);
+    // reported with the errors of the rows of the sheet, see applyRuleEngine
+    this.errors = errors;
+    this.order = order;
+    const newRules = compiledRules.map(([fieldId, rules]) => [
+      fieldId,
+      cycles.has(fieldId) ? rules.filter(({ prop }) => prop !== 'value') : rules,
     ]);
 
     this.formRules = Object.fromEntries(newRules);
@@ -147,36 +198,65 @@ export default class RuleEngine {
     }, {});
   }
 
+  /**
+   * Returns the fields whose rules are to be applied when the value of the field changes, in the
+   * topological order of the fields, see DependencyAnalyzer.js. The changes of value propagate to
+   * the dependents of the field, the other properties (visible, enabled, label...) don't change
+   * the data hence their rules are applied after the values are computed.
+   */
   listRules(fieldId) {
-    const arr = {};
-    let index = 0;
+    const values = new Set();
+    const others = new Set();
     const stack = [fieldId];
-    do {
-      const el = stack.pop();
-      arr[el] = index;
-      index += 1;
-      if (this.dependencyTree[el]?.deps.value) {
-        stack.push(...this.dependencyTree[el].deps.value);
-      }
-      // eslint-disable-next-line no-loop-func
-      ['visible'].forEach((prop) => {
-        this.dependencyTree[el]?.deps[prop]?.forEach((field) => {
-          arr[field] = index;
-          index += 1;
-        });
-      });
-      // @todo add label deps as well.
-    } while (stack.length > 0);
-    return Object.entries(arr).sort((a, b) => a[1] - b[1]).map((_) => _[0]).slice(1);
+    while (stack.length > 0) {
+      const deps = this.dependencyTree[stack.pop()]?.deps || {};
+      Object.entries(deps).forEach(([prop, fields]) => fields.forEach((field) => {
+        if (prop !== 'value') {
+          others.add(field);
+        } else if (!values.has(field)) {
+          values.add(field);
+          stack.push(field);
+        }
+      }));
+    }
+    const byOrder = (a, b) => (this.order[a] ?? -1) - (this.order[b] ?? -1);
+    // the rules of the field itself are not applied, except validation see enable
+    const terminal = [...others].filter((id) => !values.has(id));
+    return [...[...values].sort(byOrder), ...terminal.sort(byOrder)]
+      .filter((id) => id !== fieldId);
   }
 
-  valueUpdate(fieldId, value) {
-    const element = this.formTag.querySelector(`#${fieldId}`);
+  /**
+   * Returns the element of the field, in the instance of the repeatable panel whose rules are
+   * being applied if the field is part of the panel, see applyFieldRules.
+   */
+  getElement(fieldId) {
+    if (!this.instance) {
+      return this.formTag.querySelector(`#${fieldId}`);
+    }
+    // only the fields of the first instance have the id of the field
+    const wrapper = this.instance.dataset.id === fieldId ? this.instance
+      : this.instance.querySelector(`[data-id="${fieldId}"]`);
+    if (!wrapper || isFieldset(wrapper)) {
+      return wrapper;
+    }
+    return wrapper.querySelector('input,select,textarea,output,button') || wrapper;
+  }
+
+  valueUpdate(fieldId, newValue, data = this.data) {
+    const element = this.getElement(fieldId);
+    // the date functions e.g. TODAY() return the serial number of the date
+    const value = typeof newValue === 'number' && element.closest('.date-wrapper')
+      ? getISODate(newValue) : newValue;
     if (!(element instanceof NodeList)) {
-      this.data[element.name] = coerceValue(value);
+      data[element.name] = coerceValue(value);
       if (element.tagName === 'OUTPUT') {
         element.value = value;
         element.dataset.value = value;
+      } else if (element.dataset.mask) {
+        element.value = formatMasked(value, element.dataset.mask);
+      } else if (element.dataset.displayFormat) {
+        updateDisplayValue(element, value);
       } else {
         element.value = value;
       }
@@ -188,7 +268,7 @@ export default class RuleEngine {
 
   // eslint-disable-next-line class-methods-use-this
   visibleUpdate(fieldId, value) {
-    const element = this.formTag.querySelector(`#${fieldId}`);
+    const element = this.getElement(fieldId);
     let wrapper = element;
     if (!isFieldset(element)) {
       wrapper = element.closest('.field-wrapper');
@@ -196,27 +276,169 @@ export default class RuleEngine {
     wrapper.dataset.visible = value;
   }
 
+  enabledUpdate(fieldId, value) {
+    const element = this.getElement(fieldId);
+    // a read only drop-down remains disabled, see readOnlyUpdate
+    if (!(element.tagName === 'SELECT' && element.readOnly)) {
+      element.disabled = !value;
+    }
+  }
+
+  readOnlyUpdate(fieldId, value) {
+    const element = this.getElement(fieldId);
+    const readOnly = !!value;
+    if (isFieldset(element)) {
+      element.querySelectorAll('input,select,textarea').forEach((el) => setReadOnly(el, readOnly));
+    } else {
+      setReadOnly(element, readOnly);
+    }
+    element.readOnly = readOnly;
+  }
+
+  requiredUpdate(fieldId, value) {
+    const element = this.getElement(fieldId);
+    const wrapper = element.closest('.field-wrapper');
+    const required = !!value;
+    if (isFieldset(element)) {
+      // only the first radio button is required, all the checkboxes are till one is checked
+      const inputs = [...element.querySelectorAll('input')];
+      inputs.forEach((input, index) => {
+        input.required = required && (input.type === 'checkbox' || index === 0);
+      });
+    } else {
+      element.required = required;
+    }
+    wrapper.dataset.required = required;
+    const input = getValidationElement(element);
+    if (wrapper.classList.contains('field-invalid') && input.checkValidity) {
+      checkValidation(input);
+    }
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  labelUpdate(fieldId, value) {
+    const element = this.getElement(fieldId);
+    const text = `${value ?? ''}`;
+    if (element.tagName === 'BUTTON') {
+      element.textContent = text;
+      return;
+    }
+    const wrapper = element.closest('.field-wrapper');
+    const label = wrapper.querySelector(':scope > .field-label');
+    if (label) {
+      label.textContent = text;
+    } else if (text) {
+      wrapper.prepend(createLabel({
+        id: fieldId,
+        label: { value: text },
+      }, isFieldset(wrapper) ? 'legend' : 'label'));
+    }
+  }
+
+  validationUpdate(fieldId, valid, data = this.data) {
+    const element = this.getElement(fieldId);
+    const wrapper = element.closest('.field-wrapper');
+    const input = getValidationElement(element);
+    const value = data[element.name];
+    // empty fields are validated by the required expression
+    const invalid = value != null && value !== '' && !valid;
+    const message = invalid ? (wrapper.dataset.validationExpressionErrorMessage
+      || getErrorMessage('validationExpression')) : '';
+    input.setCustomValidity?.(message);
+    if (invalid || input.validity?.valid) {
+      updateOrCreateInvalidMsg(input, message);
+    }
+  }
+
+  optionsUpdate(fieldId, parentValue) {
+    const select = this.formTag.querySelector(`#${fieldId}`);
+    const { value } = select;
+    updateSelectOptions(select, getDependentOptions(select, parentValue), value);
+    if (select.value !== value) {
+      this.setData(select);
+      this.updateDependentOptions(select.name);
+      this.applyRules(this.getRules(fieldId));
+    }
+  }
+
+  updateDependentOptions(fieldName) {
+    this.formTag.querySelectorAll(`select[data-options-depends-on="${fieldName}"][data-options-status="loaded"]`)
+      .forEach((select) => this.optionsUpdate(select.id, this.data[fieldName]));
+  }
+
   setData(field) {
     const fieldName = field.name;
     if (field.type === 'checkbox') {
       this.data[fieldName] = field.checked ? coerceValue(field.value) : undefined;
+    } else if (field.dataset.mask) {
+      this.data[fieldName] = unmask(field.value, field.dataset.mask);
     } else {
       this.data[fieldName] = coerceValue(field.value);
     }
   }
 
+  /**
+   * Applies the rules of the field, with the values of the instance of the repeatable panel
+   * for the fields of the panel.
+   * @param {string} fieldId
+   * @param {HTMLFieldSetElement} [instance] instance of the repeatable panel
+   * @param {Array<string>} [props] properties whose rules are applied, all if not specified
+   */
+  applyFieldRules(fieldId, instance, props) {
+    this.instance = instance;
+    const data = instance ? { ...this.data, ...getInstanceData(instance) } : this.data;
+    if (this.getElement(fieldId)) {
+      this.formRules[fieldId]?.filter(({ prop }) => !props || props.includes(prop))
+        .forEach((rule) => {
+          const newValue = this.formula.evaluate(rule.ast, data);
+          const handler = this[`${rule.prop}Update`];
+          if (handler instanceof Function) {
+            handler.apply(this, [fieldId, newValue, data]);
+          }
+        });
+    }
+    this.instance = null;
+  }
+
+  /**
+   * Applies the rules of the fields. The rules of the fields of a repeatable panel are applied
+   * to each of its instances, i.e. formulas referring to the fields of the panel are evaluated
+   * with the values of the instance, while the formulas of the other fields get the values of
+   * all the instances e.g. SUM(amount).
+   */
   applyRules(rules) {
     rules.forEach((fId) => {
-      this.formRules[fId]?.forEach((rule) => {
-        const newValue = this.formula.evaluate(rule.ast, this.data);
-        const handler = this[`${rule.prop}Update`];
-        if (handler instanceof Function) {
-          handler.apply(this, [fId, newValue]);
-        }
-      });
+      const instance = this.formTag.querySelector(`[data-id="${fId}"]`)
+        ?.closest('[data-repeatable="true"]');
+      if (instance) {
+        getInstances(this.formTag, instance.name)
+          .forEach((el) => this.applyFieldRules(fId, el));
+        this.data = {
+          ...this.data,
+          ...getFieldsetPayload(this.formTag, instance.name),
+        };
+      } else {
+        this.applyFieldRules(fId);
+      }
     });
   }
 
+  /**
+   * Refreshes the values of the repeatable panel when an instance is added or removed, and
+   * applies the rules of its fields and of the fields depending on them.
+   */
+  updateInstances(fieldsetName) {
+    this.data = {
+      ...this.data,
+      ...getFieldsetPayload(this.formTag, fieldsetName),
+    };
+    const template = getRepeatTemplate(this.formTag, fieldsetName);
+    const fieldIds = [template, ...(template?.querySelectorAll('[data-id]') || [])]
+      .map((el) => el?.dataset.id).filter((id) => id);
+    const rules = new Set(fieldIds.flatMap((id) => [id, ...this.getRules(id)]));
+    this.applyRules([...rules]);
+  }
+
   getRules(id) {
     if (!this.rulesOrder[id]) {
       this.rulesOrder[id] = this.listRules(id);
@@ -227,17 +449,24 @@ export default class RuleEngine {
   enable() {
     this.formTag.addEventListener('change', (e) => {
       const field = e.target;
+      // the error of the validation expression is reset since it is evaluated with the new value
+      const wrapper = field.closest('.field-wrapper');
+      const wrapperId = wrapper?.dataset.id;
+      const instance = field.closest('[data-repeatable="true"]');
+      const hasValidation = this.formRules[wrapperId]?.some(({ prop }) => prop === 'validation');
+      if (hasValidation) {
+        getValidationElement(isFieldset(wrapper) ? wrapper : field).setCustomValidity?.('');
+      }
       const valid = e.target.checkValidity();
       if (valid) {
         let fieldId = field.id;
         let rules = [];
-        const fieldset = field.closest('fieldset');
-        if (fieldset && fieldset.getAttribute('data-repeatable') === 'true') {
+        if (instance) {
           this.data = {
             ...this.data,
-            ...getFieldsetPayload(this.formTag, fieldset.name),
+            ...getFieldsetPayload(this.formTag, instance.name),
           };
-          fieldId = field.name;
+          fieldId = wrapperId;
         } else {
           this.setData(field);
         }
@@ -252,35 +481,31 @@ export default class RuleEngine {
           rules = this.getRules(fieldId);
         }
         this.applyRules(rules);
+        if (hasValidation) {
+          this.applyFieldRules(wrapperId, instance, ['validation']);
+        }
+        this.updateDependentOptions(field.name);
       }
     });
 
-    // this.formTag.addEventListener('item:add', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
-
-    // this.formTag.addEventListener('item:remove', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
+    this.formTag.querySelectorAll('select[data-options-depends-on][data-options-status="loaded"]')
+      .forEach((select) => {
+        this.optionsUpdate(select.id, this.data[select.dataset.optionsDependsOn]);
+      });
+
+    this.formTag.addEventListener('options:load', (e) => {
+      const { optionsDependsOn } = e.target.dataset;
+      if (optionsDependsOn) {
+        this.optionsUpdate(e.target.id, this.data[optionsDependsOn]);
+      }
+    });
+
+    this.formTag.addEventListener('item:add', (e) => {
+      this.updateInstances(e.detail.item.name);
+    });
+
+    this.formTag.addEventListener('item:remove', (e) => {
+      this.updateInstances(e.detail.item.name);
+    });
   }
 }
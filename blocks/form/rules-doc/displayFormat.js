@@ -0,0 +1,94 @@
+/** ***********************************************************************
+ * ADOBE CONFIDENTIAL
+ * ___________________
+ *
+ * Copyright 2024 Adobe
+ * All Rights Reserved.
+ *
+ * NOTICE: All information contained herein is, and remains
+ * the property of Adobe and its suppliers, if any. The intellectual
+ * and technical concepts contained herein are proprietary to Adobe
+ * and its suppliers and are protected by all applicable intellectual
+ * property laws, including trade secret and copyright laws.
+ * Dissemination of this information or reproduction of this material
+ * is strictly forbidden unless prior written permission is obtained
+ * from Adobe.
+
+ * Adobe permits you to use and modify this file solely in accordance with
+ * the terms of the Adobe license agreement accompanying it.
+ ************************************************************************ */
+import { format } from '../rules/model/afb-formatters.min.js';
+
+function getLanguage() {
+  return document.documentElement.lang || 'en';
+}
+
+/**
+ * Adds the category (date| or num|) to the display format, as expected by the formatters,
+ * if the author hasn't specified it.
+ */
+function withCategory(displayFormat, fieldType) {
+  if (/^(?:date|num)\|/.test(displayFormat)) {
+    return displayFormat;
+  }
+  if (fieldType === 'date' || fieldType === 'date-input') {
+    return `date|${displayFormat}`;
+  }
+  if (fieldType === 'number' || fieldType === 'number-input') {
+    return `num|${displayFormat}`;
+  }
+  return null;
+}
+
+export function formatDisplayValue(value, displayFormat) {
+  if (value == null || value === '' || !displayFormat) {
+    return value ?? '';
+  }
+  try {
+    const isNumber = displayFormat.startsWith('num|');
+    return format(isNumber ? Number(value) : value, getLanguage(), displayFormat);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Updates the edit and display value of a field with display format.
+ * The display value is shown when the field is not focused.
+ * @param {HTMLInputElement} input
+ * @param {string} value
+ */
+export function updateDisplayValue(input, value) {
+  const displayValue = formatDisplayValue(value, input.dataset.displayFormat);
+  input.setAttribute('edit-value', value ?? '');
+  input.setAttribute('display-value', displayValue);
+  if (document.activeElement !== input) {
+    input.value = displayValue;
+  }
+}
+
+function getFieldsWithDisplayFormat(panel) {
+  return (panel?.items || []).flatMap((field) => {
+    if (field.items) {
+      return getFieldsWithDisplayFormat(field);
+    }
+    return field.displayFormat ? [field] : [];
+  });
+}
+
+export default function applyDisplayFormat(formDef, formTag) {
+  getFieldsWithDisplayFormat(formDef).forEach(({ id, displayFormat, fieldType }) => {
+    const input = formTag.querySelector(`#${id}`);
+    const df = withCategory(displayFormat, fieldType);
+    if (input?.hasAttribute('edit-value') && df) {
+      input.dataset.displayFormat = df;
+      updateDisplayValue(input, input.getAttribute('edit-value'));
+    }
+  });
+
+  formTag.addEventListener('change', (e) => {
+    if (e.target.dataset.displayFormat) {
+      updateDisplayValue(e.target, e.target.value);
+    }
+  });
+}
@@ -17,13 +17,18 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
+import applyDisplayFormat from './displayFormat.js';
+import showDiagnostics from '../diagnostics.js';
+
 export default async function applyRuleEngine(form, formTag) {
   try {
-    const { fieldIdMap, rules } = form.properties.rules;
-    if (rules.length > 0) {
+    applyDisplayFormat(form, formTag);
+    const { fieldIdMap, rules, sheets } = form.properties.rules;
+    if (rules.length > 0 || formTag.querySelector('select[data-options-depends-on]')) {
       const RuleEngine = (await import('./RuleEngine.js')).default;
-      const ruleEngine = new RuleEngine(rules, fieldIdMap, formTag);
+      const ruleEngine = new RuleEngine(rules, fieldIdMap, formTag, sheets);
       ruleEngine.enable();
+      showDiagnostics(formTag, ruleEngine.errors);
     }
   } catch (e) {
     // eslint-disable-next-line no-console
@@ -2,6 +2,7 @@ import tokenDefinitions from './Tokens.js';
 
 const {
   TOK_ADD,
+  TOK_COLON,
   TOK_COMMA,
   TOK_CONCATENATE,
   TOK_DIVIDE,
@@ -25,6 +26,7 @@ const {
 
 const basicTokens = {
   '!': TOK_SHEET_ACCESS,
+  ':': TOK_COLON,
   ',': TOK_COMMA,
   '(': TOK_LPAREN,
   ')': TOK_RPAREN,
@@ -150,7 +152,9 @@ export default class Lexer {
   consumeUnquotedIdentifier(stream) {
     const start = this.current;
     this.current += 1;
-    while (this.current < stream.length && isAlphaNum(stream[this.current])) {
+    // $ is allowed in the cell names e.g. $A$2
+    while (this.current < stream.length
+      && (isAlphaNum(stream[this.current]) || stream[this.current] === '$')) {
       this.current += 1;
     }
     return stream.slice(start, this.current);
@@ -4,6 +4,7 @@ import tokenDefinitions from './Tokens.js';
 const {
   TOK_EOF,
   TOK_ADD,
+  TOK_COLON,
   TOK_COMMA,
   TOK_CONCATENATE,
   TOK_DIVIDE,
@@ -47,6 +48,7 @@ const bindingPower = {
   [TOK_NE]: 5,
   [TOK_UNARY_MINUS]: 30,
   [TOK_SHEET_ACCESS]: 40,
+  [TOK_COLON]: 50,
   [TOK_LPAREN]: 60,
 };
 
@@ -148,6 +150,9 @@ export default class Parser {
         rbp = bindingPower.Sheet;
         right = this.parseSheetRHS(rbp);
         return { type: 'Subexpression', children: [left, right] };
+      case TOK_COLON:
+        right = this.expression(bindingPower.Colon);
+        return { type: 'Range', children: [left, right] };
       case TOK_CONCATENATE:
         right = this.expression(bindingPower.Concatenate);
         return { type: 'ConcatenateExpression', children: [left, right] };
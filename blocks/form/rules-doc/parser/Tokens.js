@@ -1,6 +1,7 @@
 export default {
   TOK_EOF: 'EOF',
   TOK_ADD: 'Add',
+  TOK_COLON: 'Colon',
   TOK_COMMA: 'Comma',
   TOK_CONCATENATE: 'Concatenate',
   TOK_DIVIDE: 'Divide',
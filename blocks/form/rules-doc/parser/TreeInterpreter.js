@@ -12,6 +12,9 @@ const {
   TOK_NE,
 } = tokenDefinitions;
 
+// functions which evaluate their arguments, see functions.js
+const lazyFunctions = ['if', 'ifs', 'iferror', 'switch'];
+
 export default class TreeInterpreter {
   constructor(runtime, debug) {
     this.runtime = runtime;
@@ -101,15 +104,21 @@ export default class TreeInterpreter {
 
       Literal: (node) => node.value,
 
+      // the cells of another sheet are resolved when the rule is compiled, see RuleCompiler
+      Range: (node, value) => (node.children
+        ? node.children.map((child) => this.visit(child, value)) : node.value),
+
       Number: (node) => node.value,
 
       Function: (node, value) => {
-        // Special case for if()
+        // Special case for if() and the other conditional functions
         // we need to make sure the results are called only after the condition is evaluated
         // Otherwise we end up with both results invoked -- which could include side effects
         // For "if", the last parameter to callFunction is false (bResolved) to indicate there's
         // no point in validating the argument type.
-        if (node.name === 'if') return this.runtime.callFunction(node.name, node.children, value, this, false);
+        if (lazyFunctions.includes(node.name)) {
+          return this.runtime.callFunction(node.name, node.children, value, this, false);
+        }
         const resolvedArgs = node.children.map((child) => this.visit(child, value));
         return this.runtime.callFunction(node.name, resolvedArgs, value, this);
       },
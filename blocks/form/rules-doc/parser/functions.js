@@ -1,10 +1,114 @@
 import {
-  getValueOf, getToNumber,
+  getValueOf, getToNumber, getSerialDate, getDateOfSerial,
 } from './utils.js';
 
+// the functions return null for the errors of the spreadsheets e.g. #DIV/0! or #VALUE!
+
+function flatten(args) {
+  return args.reduce((prev, cur) => {
+    if (Array.isArray(cur)) prev.push(...flatten(cur));
+    else prev.push(getValueOf(cur));
+    return prev;
+  }, []);
+}
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const isNumeric = (value) => typeof value === 'number'
+  || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(+value));
+
+/**
+ * returns the numbers in the args, the text and the blank values are ignored
+ */
+function getNumbers(args) {
+  return flatten(args).filter(isNumeric).map(Number);
+}
+
+function toText(value) {
+  const v = getValueOf(value);
+  if (isBlank(v)) return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  return `${v}`;
+}
+
+/**
+ * rounds the number to the digits (negative digits round to the left of the decimal point)
+ * away from zero, using the given rounding function for the absolute value
+ */
+function roundTo(num, digits, round) {
+  const abs = Math.abs(num);
+  let result;
+  if (`${abs}`.includes('e')) {
+    const precision = 10 ** digits;
+    result = round(abs * precision) / precision;
+  } else {
+    // shifting the decimal point in the string avoids the floating point errors e.g. 1.005 * 100
+    result = Number(`${round(Number(`${abs}e${digits}`))}e${-digits}`);
+  }
+  return Math.sign(num) * result;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function getDateParts(value) {
+  const serial = getSerialDate(value);
+  if (serial === null) return null;
+  const date = getDateOfSerial(serial);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function toSerial(year, month, day) {
+  return getSerialDate(new Date(year, month, day));
+}
+
+/**
+ * returns the values of a range as a list, a range is an array of rows e.g. Rates!A2:A10
+ * while a range of fields e.g. B2:B5 is a list of values
+ */
+function toVector(range) {
+  if (!Array.isArray(range)) return [getValueOf(range)];
+  if (!range.some(Array.isArray)) return range.map(getValueOf);
+  if (range.length === 1) return range[0].map(getValueOf);
+  return range.map((row) => getValueOf(Array.isArray(row) ? row[0] : row));
+}
+
+function toRows(range) {
+  if (!Array.isArray(range)) return [[range]];
+  return range.map((row) => (Array.isArray(row) ? row : [row]));
+}
+
+// numbers are compared as numbers, the other values as case insensitive text
+function compareValues(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  return toText(a).toLowerCase().localeCompare(toText(b).toLowerCase());
+}
+
+/**
+ * returns the index of the value in the list, -1 if it is not found. The match type is
+ * 0 for an exact match, 1 for the largest value less than or equal to the value in an ascending
+ * list and -1 for the smallest value greater than or equal to the value in a descending list.
+ */
+function findMatch(value, list, matchType) {
+  const v = getValueOf(value);
+  if (matchType === 0) {
+    return list.findIndex((x) => compareValues(x, v) === 0);
+  }
+  let index = -1;
+  list.every((x, i) => {
+    const comparison = compareValues(x, v) * matchType;
+    if (comparison <= 0) index = i;
+    return comparison <= 0;
+  });
+  return index;
+}
+
 export default function functions(debug) {
   const toNumber = getToNumber(debug);
   const fnMap = {
+    // logical
+
     and: {
       _func: (resolvedArgs) => {
         let result = !!getValueOf(resolvedArgs[0]);
@@ -28,7 +132,49 @@ export default function functions(debug) {
         if (getValueOf(condition)) {
           return interpreter.visit(leftBranchNode, data);
         }
-        return interpreter.visit(rightBranchNode, data);
+        // IF(condition, value) returns FALSE, like the spreadsheets
+        return rightBranchNode ? interpreter.visit(rightBranchNode, data) : false;
+      },
+    },
+
+    iferror: {
+      _func: (unresolvedArgs, data, interpreter) => {
+        try {
+          const value = interpreter.visit(unresolvedArgs[0], data);
+          if (value !== null && !Number.isNaN(value)) {
+            return value;
+          }
+        } catch (e) {
+          debug.push(e.message);
+        }
+        return interpreter.visit(unresolvedArgs[1], data);
+      },
+    },
+
+    ifs: {
+      _func: (unresolvedArgs, data, interpreter) => {
+        for (let i = 0; i + 1 < unresolvedArgs.length; i += 2) {
+          if (getValueOf(interpreter.visit(unresolvedArgs[i], data))) {
+            return interpreter.visit(unresolvedArgs[i + 1], data);
+          }
+        }
+        return null;
+      },
+    },
+
+    isblank: {
+      _func: (args) => isBlank(getValueOf(args[0])),
+    },
+
+    // the values of the fields are text, the numeric ones are numbers like in the cells
+    isnumber: {
+      _func: (args) => isNumeric(getValueOf(args[0])),
+    },
+
+    istext: {
+      _func: (args) => {
+        const value = getValueOf(args[0]);
+        return typeof value === 'string' && !isBlank(value) && !isNumeric(value);
       },
     },
 
@@ -46,10 +192,142 @@ export default function functions(debug) {
       },
     },
 
+    switch: {
+      _func: (unresolvedArgs, data, interpreter) => {
+        const value = getValueOf(interpreter.visit(unresolvedArgs[0], data));
+        let i = 1;
+        for (; i + 1 < unresolvedArgs.length; i += 2) {
+          // eslint-disable-next-line eqeqeq
+          if (getValueOf(interpreter.visit(unresolvedArgs[i], data)) == value) {
+            return interpreter.visit(unresolvedArgs[i + 1], data);
+          }
+        }
+        // the last argument, if any, is the default value
+        return i < unresolvedArgs.length ? interpreter.visit(unresolvedArgs[i], data) : null;
+      },
+    },
+
     true: {
       _func: () => true,
     },
 
+    xor: {
+      _func: (args) => flatten(args).filter((arg) => !!arg).length % 2 === 1,
+    },
+
+    // math
+
+    abs: {
+      _func: (args) => Math.abs(toNumber(args[0])),
+    },
+
+    average: {
+      _func: (args) => {
+        const numbers = getNumbers(args);
+        return numbers.length ? numbers.reduce((sum, x) => sum + x, 0) / numbers.length : null;
+      },
+    },
+
+    ceiling: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        const significance = args.length > 1 ? toNumber(args[1]) : 1;
+        if (num === 0 || significance === 0) {
+          return 0;
+        }
+        return Math.ceil(num / significance) * significance;
+      },
+    },
+
+    count: {
+      _func: (args) => getNumbers(args).length,
+    },
+
+    counta: {
+      _func: (args) => flatten(args).filter((x) => !isBlank(x)).length,
+    },
+
+    countblank: {
+      _func: (args) => flatten(args).filter(isBlank).length,
+    },
+
+    exp: {
+      _func: (args) => Math.exp(toNumber(args[0])),
+    },
+
+    floor: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        const significance = args.length > 1 ? toNumber(args[1]) : 1;
+        if (num === 0 || significance === 0) {
+          return 0;
+        }
+        return Math.floor(num / significance) * significance;
+      },
+    },
+
+    int: {
+      _func: (args) => Math.floor(toNumber(args[0])),
+    },
+
+    ln: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        return num > 0 ? Math.log(num) : null;
+      },
+    },
+
+    log: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        const base = args.length > 1 ? toNumber(args[1]) : 10;
+        return num > 0 && base > 0 && base !== 1 ? Math.log(num) / Math.log(base) : null;
+      },
+    },
+
+    log10: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        return num > 0 ? Math.log10(num) : null;
+      },
+    },
+
+    max: {
+      _func: (args) => {
+        const numbers = getNumbers(args);
+        return numbers.length ? Math.max(...numbers) : 0;
+      },
+    },
+
+    median: {
+      _func: (args) => {
+        const numbers = getNumbers(args).sort((a, b) => a - b);
+        if (!numbers.length) return null;
+        const middle = Math.floor(numbers.length / 2);
+        return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+      },
+    },
+
+    min: {
+      _func: (args) => {
+        const numbers = getNumbers(args);
+        return numbers.length ? Math.min(...numbers) : 0;
+      },
+    },
+
+    mod: {
+      _func: (args) => {
+        const num = toNumber(args[0]);
+        const divisor = toNumber(args[1]);
+        // the result has the sign of the divisor
+        return divisor === 0 ? null : num - divisor * Math.floor(num / divisor);
+      },
+    },
+
+    pi: {
+      _func: () => Math.PI,
+    },
+
     power: {
       _func: (args) => {
         const base = toNumber(args[0]);
@@ -58,58 +336,339 @@ export default function functions(debug) {
       },
     },
 
+    product: {
+      _func: (args) => {
+        const numbers = getNumbers(args);
+        return numbers.length ? numbers.reduce((product, x) => product * x, 1) : 0;
+      },
+    },
+
     round: {
+      _func: (args) => roundTo(toNumber(args[0]), toNumber(args[1]) || 0, Math.round),
+    },
+
+    rounddown: {
+      _func: (args) => roundTo(toNumber(args[0]), toNumber(args[1]) || 0, Math.floor),
+    },
+
+    roundup: {
+      _func: (args) => roundTo(toNumber(args[0]), toNumber(args[1]) || 0, Math.ceil),
+    },
+
+    sign: {
+      _func: (args) => Math.sign(toNumber(args[0])),
+    },
+
+    sqrt: {
       _func: (args) => {
         const num = toNumber(args[0]);
-        const digits = toNumber(args[1]);
-        const precision = 10 ** digits;
-        return Math.round(num * precision) / precision;
+        return num >= 0 ? Math.sqrt(num) : null;
       },
     },
 
-    ceiling: {
+    sum: {
+      _func: (args) => getNumbers(args).reduce((sum, x) => sum + x, 0),
+    },
+
+    trunc: {
+      _func: (args) => roundTo(toNumber(args[0]), toNumber(args[1]) || 0, Math.floor),
+    },
+
+    // text
+
+    concat: {
+      _func: (args) => flatten(args).map(toText).join(''),
+    },
+
+    concatenate: {
+      _func: (args) => flatten(args).map(toText).join(''),
+    },
+
+    exact: {
+      _func: (args) => toText(args[0]) === toText(args[1]),
+    },
+
+    find: {
       _func: (args) => {
-        const num = toNumber(args[0]);
-        const significance = toNumber(args[1]);
-        if (num === 0 || significance === 0) {
-          return 0;
+        const start = args.length > 2 ? toNumber(args[2]) : 1;
+        const index = toText(args[1]).indexOf(toText(args[0]), start - 1);
+        return index >= 0 ? index + 1 : null;
+      },
+    },
+
+    left: {
+      _func: (args) => toText(args[0]).slice(0, args.length > 1 ? toNumber(args[1]) : 1),
+    },
+
+    len: {
+      _func: (args) => toText(args[0]).length,
+    },
+
+    lower: {
+      _func: (args) => toText(args[0]).toLowerCase(),
+    },
+
+    mid: {
+      _func: (args) => {
+        const start = toNumber(args[1]);
+        return start < 1 ? null : toText(args[0]).substr(start - 1, toNumber(args[2]));
+      },
+    },
+
+    proper: {
+      _func: (args) => toText(args[0]).toLowerCase()
+        .replace(/(^|[^\p{L}])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase()),
+    },
+
+    replace: {
+      _func: (args) => {
+        const text = toText(args[0]);
+        const start = toNumber(args[1]) - 1;
+        return text.slice(0, start) + toText(args[3]) + text.slice(start + toNumber(args[2]));
+      },
+    },
+
+    rept: {
+      _func: (args) => toText(args[0]).repeat(Math.max(0, Math.floor(toNumber(args[1])))),
+    },
+
+    right: {
+      _func: (args) => {
+        const text = toText(args[0]);
+        const count = args.length > 1 ? toNumber(args[1]) : 1;
+        return count > 0 ? text.slice(-count) : '';
+      },
+    },
+
+    search: {
+      _func: (args) => {
+        const start = args.length > 2 ? toNumber(args[2]) : 1;
+        const text = toText(args[1]).toLowerCase();
+        const index = text.indexOf(toText(args[0]).toLowerCase(), start - 1);
+        return index >= 0 ? index + 1 : null;
+      },
+    },
+
+    substitute: {
+      _func: (args) => {
+        const text = toText(args[0]);
+        const oldText = toText(args[1]);
+        const newText = toText(args[2]);
+        if (!oldText) return text;
+        if (args.length < 4) return text.split(oldText).join(newText);
+        // only the nth occurrence is replaced
+        const instance = toNumber(args[3]);
+        let index = -1;
+        for (let i = 0; i < instance; i += 1) {
+          index = text.indexOf(oldText, index + 1);
+          if (index < 0) return text;
         }
-        return Math.ceil(num / significance) * significance;
+        return text.slice(0, index) + newText + text.slice(index + oldText.length);
       },
     },
 
-    min: {
+    textjoin: {
+      _func: (args) => {
+        const [delimiter, ignoreEmpty, ...texts] = args;
+        return flatten(texts).map(toText).filter((x) => !getValueOf(ignoreEmpty) || x !== '')
+          .join(toText(delimiter));
+      },
+    },
+
+    trim: {
+      _func: (args) => toText(args[0]).trim().replace(/ {2,}/g, ' '),
+    },
+
+    upper: {
+      _func: (args) => toText(args[0]).toUpperCase(),
+    },
+
+    value: {
       _func: (args) => {
-        // flatten the args into a single array
-        const array = args.reduce((prev, cur) => {
-          if (Array.isArray(cur)) prev.push(...cur);
-          else prev.push(cur);
-          return prev;
-        }, []);
-
-        const first = array.find((r) => r !== null);
-        if (array.length === 0 || first === undefined) return null;
-        // use the first value to determine the comparison type
-        const isNumber = !Number.isNaN(parseInt(first, 10));
-        const compare = isNumber
-          ? (prev, cur) => {
-            const current = toNumber(cur);
-            return prev <= current ? prev : current;
+        const text = toText(args[0]).trim();
+        return isNumeric(text) ? Number(text) : null;
+      },
+    },
+
+    // date, the dates are serial numbers e.g. 45292 for 2024-01-01
+
+    date: {
+      _func: (args) => toSerial(toNumber(args[0]), toNumber(args[1]) - 1, toNumber(args[2])),
+    },
+
+    datedif: {
+      _func: (args) => {
+        const start = getSerialDate(args[0]);
+        const end = getSerialDate(args[1]);
+        if (start === null || end === null || start > end) return null;
+        const s = getDateParts(start);
+        const e = getDateParts(end);
+        const months = (e.year - s.year) * 12 + e.month - s.month - (e.day < s.day ? 1 : 0);
+        switch (toText(args[2]).toUpperCase()) {
+          case 'D':
+            return Math.floor(end) - Math.floor(start);
+          case 'M':
+            return months;
+          case 'Y':
+            return Math.floor(months / 12);
+          case 'YM':
+            return months % 12;
+          case 'MD':
+            return e.day >= s.day ? e.day - s.day
+              : daysInMonth(e.year, e.month - 1) - s.day + e.day;
+          case 'YD': {
+            let anniversary = toSerial(e.year, s.month, s.day);
+            if (anniversary > Math.floor(end)) {
+              anniversary = toSerial(e.year - 1, s.month, s.day);
+            }
+            return Math.floor(end) - anniversary;
           }
-          : (prev, cur) => {
-            const current = toString(cur);
-            return prev.localeCompare(current) === 1 ? current : prev;
-          };
+          default:
+            return null;
+        }
+      },
+    },
 
-        return array.reduce(compare, isNumber ? toNumber(first) : toString(first));
+    datevalue: {
+      _func: (args) => {
+        const serial = getSerialDate(toText(args[0]));
+        return serial === null ? null : Math.floor(serial);
       },
     },
 
-    sum: {
-      _func: (args) => args.reduce((sum, x) => {
-        if (Array.isArray(x)) return sum + fnMap.sum.func(x);
-        return sum + toNumber(x);
-      }, 0),
+    day: {
+      _func: (args) => getDateParts(args[0])?.day ?? null,
+    },
+
+    edate: {
+      _func: (args) => {
+        const date = getDateParts(args[0]);
+        if (!date) return null;
+        const month = date.month + toNumber(args[1]);
+        const lastDay = daysInMonth(date.year, month);
+        return toSerial(date.year, month, Math.min(date.day, lastDay));
+      },
+    },
+
+    eomonth: {
+      _func: (args) => {
+        const date = getDateParts(args[0]);
+        return date ? toSerial(date.year, date.month + toNumber(args[1]) + 1, 0) : null;
+      },
+    },
+
+    month: {
+      _func: (args) => {
+        const date = getDateParts(args[0]);
+        return date ? date.month + 1 : null;
+      },
+    },
+
+    now: {
+      _func: () => getSerialDate(new Date()),
+    },
+
+    today: {
+      _func: () => Math.floor(getSerialDate(new Date())),
+    },
+
+    weekday: {
+      _func: (args) => {
+        const serial = getSerialDate(args[0]);
+        if (serial === null) return null;
+        // the serial number 1 is a Sunday
+        const day = Math.floor(serial) % 7;
+        switch (args.length > 1 ? toNumber(args[1]) : 1) {
+          case 2:
+            return ((day + 5) % 7) + 1;
+          case 3:
+            return (day + 5) % 7;
+          default:
+            return ((day + 6) % 7) + 1;
+        }
+      },
+    },
+
+    year: {
+      _func: (args) => getDateParts(args[0])?.year ?? null,
+    },
+
+    // lookup, over ranges of the fields or of the other sheets of the workbook
+
+    hlookup: {
+      _func: (args) => {
+        const rows = toRows(args[1]);
+        const exact = args.length > 3 && !getValueOf(args[3]);
+        const index = findMatch(args[0], rows[0] || [], exact ? 0 : 1);
+        const row = rows[toNumber(args[2]) - 1];
+        return index < 0 || !row ? null : row[index] ?? null;
+      },
+    },
+
+    index: {
+      _func: (args) => {
+        const rows = toRows(args[0]);
+        const row = toNumber(args[1]);
+        const column = args.length > 2 ? toNumber(args[2]) : 1;
+        if (rows.length === 1 && args.length < 3) {
+          // the nth value of a single row
+          return rows[0][row - 1] ?? null;
+        }
+        return rows[row - 1]?.[column - 1] ?? null;
+      },
+    },
+
+    match: {
+      _func: (args) => {
+        const matchType = args.length > 2 ? Math.sign(toNumber(args[2])) : 1;
+        const index = findMatch(args[0], toVector(args[1]), matchType);
+        return index < 0 ? null : index + 1;
+      },
+    },
+
+    vlookup: {
+      _func: (args) => {
+        const rows = toRows(args[1]);
+        const exact = args.length > 3 && !getValueOf(args[3]);
+        const index = findMatch(args[0], rows.map((row) => row[0]), exact ? 0 : 1);
+        return index < 0 ? null : rows[index][toNumber(args[2]) - 1] ?? null;
+      },
+    },
+
+    xlookup: {
+      _func: (args) => {
+        const [value, lookupRange, returnRange, ifNotFound] = args;
+        const list = toVector(lookupRange);
+        const matchMode = args.length > 4 ? toNumber(args[4]) : 0;
+        const indexes = list.map((_, i) => i);
+        if (args.length > 5 && toNumber(args[5]) < 0) {
+          indexes.reverse();
+        }
+        let found = -1;
+        indexes.every((i) => {
+          const comparison = compareValues(list[i], getValueOf(value));
+          if (comparison === 0) {
+            found = i;
+            return false;
+          }
+          // the next smaller (-1) or larger (1) value if there is no exact match
+          if (matchMode !== 0 && Math.sign(comparison) === matchMode
+            && (found < 0 || compareValues(list[i], list[found]) * matchMode < 0)) {
+            found = i;
+          }
+          return true;
+        });
+        if (found < 0) {
+          return args.length > 3 ? ifNotFound : null;
+        }
+        const rows = toRows(returnRange);
+        if (rows.length === 1 && list.length > 1) {
+          // horizontal lookup
+          return rows[0][found] ?? null;
+        }
+        const row = rows[found] || [];
+        return row.length > 1 ? row : row[0] ?? null;
+      },
     },
   };
   return fnMap;
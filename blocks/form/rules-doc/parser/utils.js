@@ -27,3 +27,56 @@ export function getToNumber(debug = []) {
     return 0;
   };
 }
+
+const MS_PER_DAY = 86400000;
+// day 0 of the serial numbers of the dates in spreadsheets
+const EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * Returns the serial number of the date, as used by spreadsheets, e.g. 45292 for 2024-01-01.
+ * The value is a serial number, a Date or an ISO date string e.g. the value of a date field.
+ * @param {number|string|Date} value
+ * @returns {number|null} null if the value is not a date
+ */
+export function getSerialDate(value) {
+  // a Date is checked first, its valueOf is the number of milliseconds
+  const v = value instanceof Date ? value : getValueOf(value);
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number') return v;
+  if (v instanceof Date) {
+    const time = Date.UTC(
+      v.getFullYear(),
+      v.getMonth(),
+      v.getDate(),
+      v.getHours(),
+      v.getMinutes(),
+      v.getSeconds(),
+    );
+    return (time - EPOCH) / MS_PER_DAY;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(`${v}`.trim());
+  if (match) {
+    const [, y, m, d, h = 0, min = 0, s = 0] = match.map((x) => (x === undefined ? undefined : +x));
+    return (Date.UTC(y, m - 1, d, h, min, s) - EPOCH) / MS_PER_DAY;
+  }
+  const n = +v;
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Returns the UTC date of the serial number of a date.
+ * @param {number} serial
+ * @returns {Date}
+ */
+export function getDateOfSerial(serial) {
+  return new Date(EPOCH + Math.round(serial * MS_PER_DAY));
+}
+
+/**
+ * Returns the ISO date string, e.g. 2024-01-01, of the serial number of a date.
+ * @param {number} serial
+ * @returns {string}
+ */
+export function getISODate(serial) {
+  return getDateOfSerial(Math.floor(serial)).toISOString().slice(0, 10);
+}
@@ -17,10 +17,37 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-import { createFormInstance } from './model/afb-runtime.js';
+import { createFormInstance, restoreFormInstance } from './model/afb-runtime.js';
 import registerCustomFunctions from './functionRegistration.js';
 
-let customFunctionRegistered = false;
+const forwardedEvents = ['fieldChanged', 'change', 'submitSuccess', 'submitFailure', 'submitError',
+  'saveSuccess', 'saveError'];
+
+/**
+ * Converts the payload of a runtime event to something that can be posted to the main thread.
+ * Field instances (e.g. activeChild) are replaced by their id and functions are dropped. The
+ * files are kept as they are, the structured clone of the message copies them.
+ * @param {object} payload
+ * @returns {object}
+ */
+function serialize(payload) {
+  if (typeof payload === 'function') {
+    return undefined;
+  }
+  if (payload === null || typeof payload !== 'object' || payload instanceof Blob
+    || payload instanceof Date) {
+    return payload;
+  }
+  if (typeof payload.getState === 'function') {
+    return { id: payload.id };
+  }
+  if (Array.isArray(payload)) {
+    return payload.map(serialize);
+  }
+  return Object.fromEntries(Object.entries(payload)
+    .filter(([, value]) => typeof value !== 'function')
+    .map(([key, value]) => [key, serialize(value)]));
+}
 
 export default class RuleEngine {
   rulesOrder = {};
@@ -32,33 +59,83 @@ export default class RuleEngine {
   getState() {
     return this.form.getState(true);
   }
-}
 
-let ruleEngine;
-onmessage = (e) => {
-  function handleMessageEvent(event) {
-    switch (event.data.name) {
-      case 'init':
-        ruleEngine = new RuleEngine(event.data.payload);
-        // eslint-disable-next-line no-case-declarations
-        const state = ruleEngine.getState();
-        postMessage({
-          name: 'init',
-          payload: state,
+  restore(state, data) {
+    this.form = restoreFormInstance(state, data);
+    forwardedEvents.forEach((eventName) => {
+      this.form.subscribe((e) => {
+        this.dispatch({
+          name: 'event',
+          payload: { type: e.type, payload: serialize(e.payload) },
         });
-        ruleEngine.dispatch = (msg) => {
-          postMessage(msg);
-        };
-        break;
-      default:
-        break;
+      }, eventName);
+    });
+  }
+
+  setProperty({ id, propertyName, value }) {
+    const field = this.form.getElement(id);
+    if (field) {
+      field[propertyName] = value;
     }
   }
 
-  if (!customFunctionRegistered) {
-    registerCustomFunctions().then(() => {
-      customFunctionRegistered = true;
-      handleMessageEvent(e);
-    });
+  dispatchAction({ id, action }) {
+    this.form.getElement(id)?.dispatch(action);
   }
+
+  focus({ id }) {
+    this.form.getElement(id)?.focus();
+  }
+
+  markAsInvalid({ id, message }) {
+    this.form.getElement(id)?.markAsInvalid(message);
+  }
+}
+
+let ruleEngine;
+const customFunctionsRegistered = registerCustomFunctions();
+
+function handleMessageEvent(event) {
+  const { name, payload } = event.data;
+  switch (name) {
+    case 'init':
+      ruleEngine = new RuleEngine(payload);
+      ruleEngine.dispatch = (msg) => {
+        postMessage(msg);
+      };
+      postMessage({
+        name: 'init',
+        payload: ruleEngine.getState(),
+      });
+      break;
+    case 'restore':
+      ruleEngine.restore(payload.state, payload.data);
+      break;
+    case 'setProperty':
+      ruleEngine.setProperty(payload);
+      break;
+    case 'dispatch':
+      ruleEngine.dispatchAction(payload);
+      break;
+    case 'focus':
+      ruleEngine.focus(payload);
+      break;
+    case 'markAsInvalid':
+      ruleEngine.markAsInvalid(payload);
+      break;
+    case 'exportData':
+      postMessage({
+        name: 'exportData',
+        payload: ruleEngine.form.exportData(),
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+// messages are queued until the custom functions are available in the worker
+onmessage = async (e) => {
+  await customFunctionsRegistered;
+  handleMessageEvent(e);
 };
@@ -17,13 +17,20 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-import { submitSuccess, submitFailure } from '../submit.js';
+import {
+  submitSuccess, submitFailure, saveSuccess, saveFailure,
+} from '../submit.js';
 import {
   createHelpText, createLabel, updateOrCreateInvalidMsg, getCheckboxGroupValue,
+  getDependentOptions, updateSelectOptions, createFieldWrapper, getId, checkValidation,
+  waitForAttachedFiles,
 } from '../util.js';
 import registerCustomFunctions from './functionRegistration.js';
 import { externalize } from './functions.js';
-import initializeRuleEngineWorker from './worker.js';
+import initializeRuleEngineWorker, { restoreFormModel } from './worker.js';
+import { unmask, formatMasked } from '../mask.js';
+import { hasMismatchedContent } from '../sniff.js';
+import { getErrorMessage } from '../i18n.js';
 import { createOptimizedPicture } from '../../../scripts/aem.js';
 
 const formModel = {};
@@ -55,6 +62,125 @@ function handleActiveChild(id, form) {
   }
 }
 
+// html attributes for the constraints of the field model
+const constraintAttributes = {
+  maximum: 'max',
+  minimum: 'min',
+  maxLength: 'maxlength',
+  minLength: 'minlength',
+  pattern: 'pattern',
+};
+
+function getEnumOptions(fieldModel) {
+  const { enum: options = [], enumNames } = fieldModel;
+  return options.map((value, index) => {
+    const label = enumNames?.[index];
+    return {
+      label: `${(typeof label === 'object' && label !== null ? label.value : label) ?? value}`,
+      value: `${value}`,
+    };
+  });
+}
+
+/**
+ * Re-creates the radio buttons or checkboxes of a group from the enum of the field model.
+ * @param {HTMLFieldSetElement} fieldset
+ * @param {object} fieldModel
+ */
+function updateGroupOptions(fieldset, fieldModel) {
+  const {
+    name, fieldType, type, value, required, enabled, readOnly,
+  } = fieldModel;
+  const inputType = fieldType.split('-')[0];
+  const values = [].concat(value ?? []);
+  fieldset.querySelectorAll(`:scope > .${inputType}-wrapper`).forEach((el) => el.remove());
+  const description = fieldset.querySelector(':scope > .field-description');
+  getEnumOptions(fieldModel).forEach(({ label, value: optionValue }, index) => {
+    const id = getId(name);
+    const wrapper = createFieldWrapper({ id, fieldType: inputType, label: { value: label } });
+    wrapper.classList.remove('field-wrapper');
+    const input = document.createElement('input');
+    input.type = inputType;
+    input.id = id;
+    input.name = name;
+    input.value = optionValue;
+    input.dataset.fieldType = fieldType;
+    input.checked = values.some((x) => compare(x, optionValue, type?.replace('[]', '')));
+    if ((index === 0 && inputType === 'radio') || inputType === 'checkbox') {
+      input.required = required;
+    }
+    if (enabled === false || readOnly === true) {
+      input.setAttribute('disabled', 'disabled');
+    }
+    input.addEventListener('invalid', (event) => checkValidation(event.target));
+    wrapper.prepend(input);
+    if (description) {
+      description.before(wrapper);
+    } else {
+      fieldset.append(wrapper);
+    }
+  });
+}
+
+function updatePlaceholder(field, fieldType, placeholder) {
+  if (fieldType === 'drop-down') {
+    let option = [...field.options].find((x) => x.disabled && x.value === '');
+    if (!placeholder) {
+      option?.remove();
+    } else if (option) {
+      option.textContent = placeholder;
+    } else {
+      option = document.createElement('option');
+      option.textContent = placeholder;
+      option.setAttribute('disabled', '');
+      option.setAttribute('value', '');
+      option.selected = field.selectedIndex === -1;
+      field.prepend(option);
+    }
+  } else if (field.tagName === 'INPUT' || field.tagName === 'TEXTAREA') {
+    if (placeholder) {
+      field.setAttribute('placeholder', placeholder);
+    } else {
+      field.removeAttribute('placeholder');
+    }
+  }
+}
+
+function getParentValue(select, form) {
+  const parent = select.form?.querySelector(`[name="${select.dataset.optionsDependsOn}"]`);
+  const parentId = parent?.closest('.field-wrapper')?.dataset?.id;
+  return parentId ? form.getElement(parentId)?.value : undefined;
+}
+
+/**
+ * Updates enum and enumNames of the model with the options fetched for a drop-down. The options
+ * of a dependent drop-down are filtered by the value of its parent field.
+ * @param {HTMLSelectElement} select
+ * @param {object} form form model
+ */
+function updateOptions(select, form) {
+  const { id } = select.closest('.field-wrapper').dataset;
+  const field = form.getElement(id);
+  if (field) {
+    const type = field.type?.replace('[]', '');
+    const options = select.dataset.optionsDependsOn
+      ? getDependentOptions(select, getParentValue(select, form))
+      : [...select.options].filter((option) => !(option.disabled && option.value === ''))
+        .map(({ textContent, value }) => ({ label: textContent, value }));
+    const values = options.map(({ value }) => {
+      if (type === 'number') return Number(value);
+      if (type === 'boolean') return value === 'true';
+      return value;
+    });
+    field.enum = values;
+    field.enumNames = options.map(({ label }) => label);
+    if (select.dataset.optionsDependsOn && field.value != null
+      && ![].concat(field.value).every((value) => values.includes(value))) {
+      field.value = null;
+    }
+  }
+}
+
 async function fieldChanged(payload, form, generateFormRendition) {
   const { changes, field: fieldModel } = payload;
   const {
@@ -66,6 +192,7 @@ async function fieldChanged(payload, form, generateFormRendition) {
     return;
   }
   const fieldWrapper = field?.closest('.field-wrapper');
+  let optionsChanged = false;
   changes.forEach((change) => {
     const { propertyName, currentValue, prevValue } = change;
     switch (propertyName) {
@@ -107,6 +234,8 @@ async function fieldChanged(payload, form, generateFormRendition) {
         } else if (fieldType === 'image') {
           const altText = field?.querySelector('img')?.alt || '';
           field.querySelector('picture')?.replaceWith(createOptimizedPicture(field, currentValue, altText));
+        } else if (field.dataset.mask) {
+          field.value = formatMasked(currentValue, field.dataset.mask);
         } else if (field.type !== 'file') {
           field.value = currentValue;
         }
@@ -114,6 +243,31 @@ async function fieldChanged(payload, form, generateFormRendition) {
       case 'visible':
         fieldWrapper.dataset.visible = currentValue;
         break;
+      case 'enum':
+      case 'enumNames':
+        optionsChanged = true;
+        break;
+      case 'placeholder':
+        updatePlaceholder(field, fieldType, currentValue);
+        break;
+      case 'maximum':
+      case 'minimum':
+      case 'maxLength':
+      case 'minLength':
+      case 'pattern':
+        if (field.tagName === 'INPUT' || field.tagName === 'TEXTAREA') {
+          const attribute = constraintAttributes[propertyName];
+          if (currentValue == null || currentValue === '') {
+            field.removeAttribute(attribute);
+          } else {
+            field.setAttribute(attribute, currentValue);
+          }
+        }
+        break;
+      case 'appliedCssClassNames':
+        fieldWrapper.classList.remove(...`${prevValue || ''}`.split(' ').filter((x) => x));
+        fieldWrapper.classList.add(...`${currentValue || ''}`.split(' ').filter((x) => x));
+        break;
       case 'enabled':
         // If checkboxgroup/radiogroup/drop-down is readOnly then it should remain disabled.
         if (fieldType === 'radio-group' || fieldType === 'checkbox-group') {
@@ -191,6 +345,23 @@ async function fieldChanged(payload, form, generateFormRendition) {
         break;
     }
   });
+  if (optionsChanged) {
+    if (fieldType === 'drop-down') {
+      updateSelectOptions(field, getEnumOptions(fieldModel), fieldModel.value);
+    } else if (fieldType === 'radio-group' || fieldType === 'checkbox-group') {
+      updateGroupOptions(field, fieldModel);
+    } else if (fieldType === 'checkbox') {
+      const [value, uncheckedValue] = fieldModel.enum || [];
+      field.value = value;
+      if (typeof uncheckedValue !== 'undefined') {
+        field.dataset.uncheckedValue = uncheckedValue;
+      }
+    }
+  }
+  if (changes.some(({ propertyName }) => propertyName === 'value')) {
+    form.querySelectorAll(`select[data-options-depends-on="${name}"][data-options-status="loaded"]`)
+      .forEach((select) => updateOptions(select, formModel[form.dataset?.id]));
+  }
   if (fieldWrapper?.dataset?.subscribe) {
     fieldWrapper.dataset.fieldModelChanged = JSON.stringify(Math.random());
   }
@@ -219,10 +390,34 @@ function handleRuleEngineEvent(e, form, generateFormRendition) {
     submitSuccess(e, form);
   } else if (type === 'submitFailure') {
     submitFailure(e, form);
+  } else if (type === 'saveSuccess') {
+    saveSuccess(e, form);
+  } else if (type === 'saveError') {
+    saveFailure(e, form);
   }
 }
 
-function applyRuleEngine(htmlForm, form, captcha) {
+/**
+ * Returns the endpoint where the drafts of the form are saved and loaded from. It can be
+ * overridden using the fd:draftAction property e.g. to use a local endpoint during development.
+ */
+function getDraftAction({ id, properties }) {
+  return properties?.['fd:draftAction'] || externalize(`/adobe/forms/af/draft/${id}`);
+}
+
+function getDraftId() {
+  return new URLSearchParams(window.location.search).get('draftId');
+}
+
+function applyRuleEngine(htmlForm, form, captcha, draftAction) {
+  htmlForm.querySelectorAll('select[data-options-status="loaded"]').forEach((select) => {
+    updateOptions(select, form);
+  });
+
+  htmlForm.addEventListener('options:load', (e) => {
+    updateOptions(e.target, form);
+  });
+
   htmlForm.addEventListener('change', (e) => {
     const field = e.target;
     const { value, name, checked } = field;
@@ -237,7 +432,20 @@ function applyRuleEngine(htmlForm, form, captcha) {
     } else if (field.type === 'checkbox') {
       form.getElement(id).value = checked ? value : field.dataset.uncheckedValue;
     } else if (field.type === 'file') {
-      form.getElement(id).value = Array.from(e?.detail?.files || field.files);
+      const files = Array.from(e?.detail?.files || field.files);
+      const el = form.getElement(id);
+      el.value = files;
+      // the content of the files is read by the file component, before the change is dispatched,
+      // the field stays invalid in the model until other files are attached
+      if (files.some(hasMismatchedContent)) {
+        const wrapper = field.closest('.field-wrapper');
+        el.markAsInvalid(wrapper.dataset.fileContent || getErrorMessage('fileContent'));
+      }
+    } else if (field.dataset.mask) {
+      form.getElement(id).value = unmask(value, field.dataset.mask);
+    } else if (e?.detail?.value !== undefined) {
+      // components with a non string value e.g. list, dispatch it in the event detail
+      form.getElement(id).value = e.detail.value;
     } else {
       form.getElement(id).value = value;
     }
@@ -256,6 +464,10 @@ function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('click', async (e) => {
     if (e.target.tagName === 'BUTTON') {
       const element = form.getElement(e.target.id);
+      if (e.target.type === 'submit') {
+        // the files being attached are validated before the form is submitted
+        await waitForAttachedFiles(htmlForm);
+      }
       if (e.target.type === 'submit' && captcha) {
         const token = await captcha.getToken();
         form.getElement(captcha.id).value = token;
@@ -263,13 +475,16 @@ function applyRuleEngine(htmlForm, form, captcha) {
       if (element) {
         element.dispatch({ type: 'click' });
       }
+      if (e.target.closest('.save-wrapper')) {
+        // drafts are saved without validating the form, see Form.save in the runtime
+        form.dispatch({ type: 'save', payload: { action: draftAction, validate_form: false } });
+      }
     }
   });
 }
 
 export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRendition, data) {
-  const ruleEngine = await import('./model/afb-runtime.js');
-  const form = ruleEngine.restoreFormInstance(formDef, data);
+  const form = await restoreFormModel(formDef, data);
   window.myForm = form;
   formModel[htmlForm.dataset?.id] = form;
   form.subscribe((e) => {
@@ -291,13 +506,24 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   form.subscribe((e) => {
     handleRuleEngineEvent(e, htmlForm);
   }, 'submitError');
-  applyRuleEngine(htmlForm, form, captcha);
+
+  form.subscribe((e) => {
+    handleRuleEngineEvent(e, htmlForm);
+  }, 'saveSuccess');
+
+  form.subscribe((e) => {
+    handleRuleEngineEvent(e, htmlForm);
+  }, 'saveError');
+  applyRuleEngine(htmlForm, form, captcha, getDraftAction(formDef));
 }
 
-async function fetchData({ id }) {
+async function fetchData(formDef) {
   try {
     const { search = '' } = window.location;
-    const url = externalize(`/adobe/forms/af/data/${id}${search}`);
+    const draftId = getDraftId();
+    const url = draftId
+      ? `${getDraftAction(formDef)}?draftId=${encodeURIComponent(draftId)}`
+      : externalize(`/adobe/forms/af/data/${formDef.id}${search}`);
     const response = await fetch(url);
     const json = await response.json();
     const { data: prefillData } = json;
@@ -308,11 +534,26 @@ async function fetchData({ id }) {
   }
 }
 
-export async function initAdaptiveForm(formDef, createForm) {
-  const data = await fetchData(formDef);
+/**
+ * Returns the form model of a rendered adaptive form.
+ * @param {HTMLFormElement} htmlForm
+ */
+export function getFormModel(htmlForm) {
+  return formModel[htmlForm.dataset?.id];
+}
+
+/**
+ * Creates the form model and renders the form, the form is prefilled with the given data or
+ * with the data fetched from the prefill service.
+ */
+export async function initAdaptiveForm(formDef, createForm, formData) {
+  const data = formData ?? await fetchData(formDef);
+  const draftId = getDraftId();
   await registerCustomFunctions();
   const form = await initializeRuleEngineWorker({
     ...formDef,
+    // saving a resumed draft updates it instead of creating a new one
+    ...(draftId && { properties: { ...formDef.properties, 'fd:draftId': draftId } }),
     data,
   }, createForm);
   return form;
@@ -17,6 +17,148 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
+const workerForms = new WeakMap();
+
+/**
+ * Main thread view of the form model owned by RuleEngineWorker. It mirrors the subset of the
+ * runtime Form api used by the block (subscribe, getElement, dispatch). Field states are kept
+ * in sync from the events posted by the worker and all writes are forwarded to the worker.
+ */
+export class WorkerForm {
+  #worker;
+
+  #callbacks = {};
+
+  #fields = {};
+
+  #exports = [];
+
+  constructor(worker) {
+    this.#worker = worker;
+    worker.addEventListener('message', (e) => {
+      if (e.data.name === 'event') {
+        this.#handleEvent(e.data.payload);
+      } else if (e.data.name === 'exportData') {
+        this.#exports.shift()?.(e.data.payload);
+      }
+    });
+  }
+
+  #postMessage(name, payload) {
+    this.#worker.postMessage({ name, payload });
+  }
+
+  #index(state) {
+    if (state?.id) {
+      this.#fields[state.id] = state;
+    }
+    state?.items?.forEach((item) => this.#index(item));
+  }
+
+  #handleEvent(e) {
+    if (e.type === 'fieldChanged') {
+      this.#index(e.payload.field);
+    }
+    (this.#callbacks[e.type] || []).forEach((callback) => callback(e));
+  }
+
+  /**
+   * Binds the worker model to a freshly rendered form, discarding any previous subscription.
+   * @param {object} state state of the form used to render the HTML form
+   * @param {object} data data to restore in the form
+   * @returns {WorkerForm}
+   */
+  restore(state, data) {
+    this.#callbacks = {};
+    this.#fields = {};
+    this.#index(state);
+    this.#postMessage('restore', { state, data });
+    return this;
+  }
+
+  subscribe(callback, eventName = 'change') {
+    this.#callbacks[eventName] = this.#callbacks[eventName] || [];
+    this.#callbacks[eventName].push(callback);
+    return {
+      unsubscribe: () => {
+        this.#callbacks[eventName] = this.#callbacks[eventName].filter((x) => x !== callback);
+      },
+    };
+  }
+
+  /**
+   * Returns the state of the field, kept in sync with the worker. The values of the file fields
+   * are the files (File or FileObject with the File as data) like in the worker.
+   * @param {string} id
+   */
+  getElement(id) {
+    const state = this.#fields[id];
+    if (!state) {
+      return undefined;
+    }
+    return new Proxy(state, {
+      get: (target, prop) => {
+        if (prop === 'dispatch') {
+          return (action) => this.#postMessage('dispatch', { id, action });
+        }
+        if (prop === 'focus') {
+          return () => this.#postMessage('focus', { id });
+        }
+        if (prop === 'markAsInvalid') {
+          return (message) => this.#postMessage('markAsInvalid', { id, message });
+        }
+        return target[prop];
+      },
+      set: (target, prop, value) => {
+        target[prop] = value;
+        this.#postMessage('setProperty', { id, propertyName: prop, value });
+        return true;
+      },
+    });
+  }
+
+  dispatch(action) {
+    this.#postMessage('dispatch', { id: '$form', action });
+  }
+
+  /**
+   * Terminates the worker and its form model, e.g. when the form is rendered again to restore
+   * a draft.
+   */
+  terminate() {
+    this.#worker.terminate();
+    this.#callbacks = {};
+    this.#fields = {};
+  }
+
+  /**
+   * Returns the data of the form. The worker handles messages in order, so the data includes
+   * all the changes posted before.
+   * @returns {Promise<object>}
+   */
+  exportData() {
+    return new Promise((resolve) => {
+      this.#exports.push(resolve);
+      this.#postMessage('exportData');
+    });
+  }
+}
+
+/**
+ * Returns the form model for an already rendered form state. If the state was created by a
+ * worker, the worker model is bound to it otherwise the model is restored on the main thread.
+ * @param {object} state state of the form used to render the HTML form
+ * @param {object} data data to restore in the form
+ */
+export async function restoreFormModel(state, data) {
+  const workerForm = workerForms.get(state);
+  if (workerForm) {
+    return workerForm.restore(state, data);
+  }
+  const ruleEngine = await import('./model/afb-runtime.js');
+  return ruleEngine.restoreFormInstance(state, data);
+}
+
 export default async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
   if (typeof Worker === 'undefined') {
     const ruleEngine = await import('./model/afb-runtime.js');
@@ -31,11 +173,11 @@ export default async function initializeRuleEngineWorker(formDef, renderHTMLForm
   });
 
   return new Promise((resolve) => {
-    let form;
     myWorker.addEventListener('message', async (e) => {
       if (e.data.name === 'init') {
-        form = await renderHTMLForm(e.data.payload);
-        // myWorker.terminate();
+        const state = e.data.payload;
+        workerForms.set(state, new WorkerForm(myWorker));
+        const form = await renderHTMLForm(state);
         resolve(form);
       }
     });
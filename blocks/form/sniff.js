@@ -0,0 +1,80 @@
+/**
+ * Checks that the content of a file matches its media type, which the browser derives from the
+ * file extension, by reading the leading magic bytes of the file. Only the types listed below
+ * are checked, the content of the other files is trusted.
+ */
+const HEAD_LENGTH = 16;
+// the central directory, listing the entries of a zip, is at the end of the file
+const TAIL_LENGTH = 64 * 1024;
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const heicBrands = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const startsWith = (bytes, signature, offset = 0) => signature
+  .every((byte, index) => bytes[offset + index] === byte);
+
+const toText = (bytes) => String.fromCharCode(...bytes);
+
+const signatures = {
+  'application/pdf': (head) => toText(head.slice(0, 5)) === '%PDF-',
+  'image/png': (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': (head) => startsWith(head, [0xff, 0xd8, 0xff]),
+  'image/heic': (head) => toText(head.slice(4, 8)) === 'ftyp' && heicBrands.includes(toText(head.slice(8, 12))),
+  [DOCX]: (head, tail) => startsWith(head, [0x50, 0x4b, 0x03, 0x04])
+    && new TextDecoder().decode(tail).includes('word/document.xml'),
+};
+signatures['image/jpg'] = signatures['image/jpeg'];
+signatures['image/pjpeg'] = signatures['image/jpeg'];
+signatures['image/heif'] = signatures['image/heic'];
+
+// some browsers don't know the media type of these extensions
+const extensionTypes = {
+  heic: 'image/heic',
+  heif: 'image/heif',
+  docx: DOCX,
+};
+
+const results = new WeakMap();
+
+function getMediaType(file) {
+  const extension = file.name?.split('.').pop().toLowerCase();
+  return file.type || extensionTypes[extension];
+}
+
+function getRanges(file) {
+  const tailStart = Math.max(file.size - TAIL_LENGTH, 0);
+  return [[0, HEAD_LENGTH], [tailStart, file.size]];
+}
+
+function matches(signature, [head, tail]) {
+  return signature(new Uint8Array(head), new Uint8Array(tail));
+}
+
+/**
+ * Reads the magic bytes of the files, the result is then returned by hasMismatchedContent.
+ * @param {File[]} files
+ * @returns {Promise<void>}
+ */
+export async function sniffFiles(files) {
+  await Promise.all(Array.from(files).map(async (file) => {
+    const signature = file instanceof Blob && signatures[getMediaType(file)];
+    if (signature && !results.has(file)) {
+      try {
+        const bytes = await Promise.all(getRanges(file)
+          .map(([start, end]) => file.slice(start, end).arrayBuffer()));
+        results.set(file, !matches(signature, bytes));
+      } catch (e) {
+        // the file can't be read, its content is validated by the server
+      }
+    }
+  }));
+}
+
+/**
+ * Returns true if the content of the file doesn't match its media type, as read by sniffFiles.
+ * The files that haven't been read are trusted.
+ * @param {Blob} file
+ * @returns {boolean}
+ */
+export function hasMismatchedContent(file) {
+  return results.get(file) ?? false;
+}
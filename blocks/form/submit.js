@@ -1,9 +1,19 @@
 import { DEFAULT_THANK_YOU_MESSAGE, getRouting, getSubmitBaseUrl } from './constant.js';
+import { unmask } from './mask.js';
+import { translate, getErrorMessage } from './i18n.js';
+import { showDraftStatus } from './draft.js';
+import registerQueue, { queueSubmission, dequeueSubmission } from './queue.js';
+import {
+  getOwnElements, getRepeatableInstance, getAttachedFiles, checkMaxFileSize,
+  getSubmitRequestOptions, updateOrCreateInvalidMsg, waitForAttachedFiles, addCaptchaToken,
+} from './util.js';
 
 export function submitSuccess(e, form) {
   const { payload } = e;
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
+  // the next submission of the form is a new one, see getSubmissionId
+  delete form.dataset.submissionId;
   if (redirectUrl) {
     window.location.assign(encodeURI(redirectUrl));
   } else {
@@ -12,7 +22,7 @@ export function submitSuccess(e, form) {
       thankYouMessage = document.createElement('div');
       thankYouMessage.className = 'form-message success-message';
     }
-    thankYouMessage.innerHTML = thankYouMsg || DEFAULT_THANK_YOU_MESSAGE;
+    thankYouMessage.innerHTML = thankYouMsg || translate('formThankYou', DEFAULT_THANK_YOU_MESSAGE);
     form.parentNode.insertBefore(thankYouMessage, form);
     if (thankYouMessage.scrollIntoView) {
       thankYouMessage.scrollIntoView({ behavior: 'smooth' });
@@ -29,17 +39,122 @@ export function submitFailure(e, form) {
     errorMessage = document.createElement('div');
     errorMessage.className = 'form-message error-message';
   }
-  errorMessage.innerHTML = 'Some error occured while submitting the form'; // TODO: translation
+  if (e?.name === 'ValidationError') {
+    // the reason why the form couldn't be submitted, e.g. a file is too large
+    errorMessage.textContent = e.message;
+  } else {
+    errorMessage.innerHTML = translate('formSubmitError', 'Some error occured while submitting the form');
+  }
   form.prepend(errorMessage);
   errorMessage.scrollIntoView({ behavior: 'smooth' });
   form.setAttribute('data-submitting', 'false');
   form.querySelector('button[type="submit"]').disabled = false;
 }
 
+/**
+ * Adds the id of the draft saved on the server to the url of the page, so that the form can be
+ * resumed by reloading or sharing the link.
+ */
+export function saveSuccess(e, form) {
+  const draftId = e.payload?.body?.draftId;
+  if (!draftId) {
+    showDraftStatus(form, translate('formDraftSaved', 'Your draft has been saved.'));
+    return;
+  }
+  const url = new URL(window.location.href);
+  url.searchParams.set('draftId', draftId);
+  window.history.replaceState(window.history.state, '', url);
+  showDraftStatus(form, translate('formDraftResume', 'Your draft has been saved. You can resume it using this link:'), url.href);
+}
+
+export function saveFailure(e, form) {
+  showDraftStatus(form, translate('formDraftNotSaved', 'Unable to save your draft.'));
+}
+
+function submitQueued(form) {
+  let queuedMessage = form.querySelector('.form-message.queued-message');
+  if (!queuedMessage) {
+    queuedMessage = document.createElement('div');
+    queuedMessage.className = 'form-message queued-message';
+  }
+  queuedMessage.textContent = translate('formSubmitQueued', 'You are offline. Your submission has been saved and will be sent when you are back online.');
+  form.querySelector('.form-message.error-message')?.remove();
+  form.prepend(queuedMessage);
+  queuedMessage.scrollIntoView({ behavior: 'smooth' });
+  form.setAttribute('data-submitting', 'false');
+  form.querySelector('button[type="submit"]').disabled = false;
+}
+
+/**
+ * Shows the success message when a submission queued while offline is sent, if the form is
+ * still on the page.
+ */
+function queuedSubmissionSent(id, response) {
+  const form = document.querySelector(`form[data-queued-id="${id}"]`);
+  if (!form) return;
+  delete form.dataset.queuedId;
+  form.querySelector('.form-message.queued-message')?.remove();
+  if (response?.ok) {
+    submitSuccess(response, form);
+  } else {
+    submitFailure(response, form);
+  }
+}
+
+const captchas = new WeakMap();
+
+/**
+ * Keeps the captcha of the form, to request the tokens of its queued submissions.
+ * @param {HTMLFormElement} form
+ * @param {object} captcha
+ */
+export function registerCaptcha(form, captcha) {
+  captchas.set(form, captcha);
+}
+
+/**
+ * Returns a new token of the captcha of the form of the queued submission, null if the form
+ * isn't on the page.
+ */
+async function getCaptchaToken({ captcha: action }) {
+  const form = document.querySelector(`form[data-action="${action}"]`);
+  return captchas.get(form)?.getToken() ?? null;
+}
+
+/**
+ * Sends the submissions queued while offline, in this or a previous visit, once back online.
+ */
+export function retryQueuedSubmissions() {
+  registerQueue(queuedSubmissionSent, getCaptchaToken);
+}
+
 function generateUnique() {
   return new Date().valueOf() + Math.random();
 }
 
+function getElementValue(fe) {
+  if (fe.dataset.mask) {
+    return unmask(fe.value, fe.dataset.mask);
+  }
+  if (fe.hasAttribute('edit-value')) {
+    return fe.getAttribute('edit-value');
+  }
+  return fe.value;
+}
+
+/**
+ * Returns the name, size and media type of the files of the file field, the files are sent as
+ * attachments, see getAttachments, and the uploaded files have the reference of the document.
+ */
+function getFileValue(fe) {
+  const files = getAttachedFiles(fe).map(({
+    name, size, type, mediaType, data,
+  }) => ({
+    name, size, mediaType: type ?? mediaType, ...(typeof data === 'string' && { data }),
+  }));
+  return fe.multiple ? files : files[0] ?? null;
+}
+
 function getFieldValue(fe, payload) {
   if (fe.type === 'radio') {
     return fe.form.elements[fe.name].value;
@@ -52,27 +167,155 @@ function getFieldValue(fe, payload) {
     } if (fe.checked) {
       return fe.value;
     }
-  } else if (fe.type !== 'file') {
-    return fe.value;
+  } else if (fe.type === 'file') {
+    return getFileValue(fe);
+  } else {
+    return getElementValue(fe);
   }
   return null;
 }
 
-function constructPayload(form) {
-  const payload = { __id__: generateUnique() };
+function isPayloadElement(fe) {
+  return fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET';
+}
+
+/**
+ * Legacy payload, the values of the repeatable panels and checkbox groups are comma separated.
+ */
+function getFlatPayload(form) {
+  const payload = {};
   [...form.elements].forEach((fe) => {
-    if (fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET') {
+    if (isPayloadElement(fe)) {
       const value = getFieldValue(fe, payload);
-      if (fe.closest('.repeat-wrapper')) {
+      if (fe.type === 'file' && fe.closest('.repeat-wrapper')) {
+        // the files of the instances can't be comma separated
+        payload[fe.name] = [...(payload[fe.name] || []), value];
+      } else if (fe.closest('.repeat-wrapper')) {
         payload[fe.name] = payload[fe.name] ? `${payload[fe.name]},${fe.value}` : value;
       } else {
         payload[fe.name] = value;
       }
     }
   });
+  return payload;
+}
+
+/**
+ * Returns the value of the field in the structured payload, current is the value collected from
+ * the previous elements with the same name e.g. the other checkboxes of a checkbox group.
+ */
+function getPayloadValue(fe, current) {
+  if (fe.type === 'checkbox' && fe.dataset.fieldType === 'checkbox-group') {
+    return [...(current || []), ...(fe.checked ? [fe.value] : [])];
+  }
+  if (fe.type === 'radio' || fe.type === 'checkbox') {
+    return fe.checked ? fe.value : (current ?? null);
+  }
+  if (fe.type === 'file') {
+    return getFileValue(fe);
+  }
+  if (fe.multiple) {
+    return [...fe.selectedOptions].map((option) => option.value);
+  }
+  return getElementValue(fe);
+}
+
+function getStructuredPayload(container) {
+  const payload = {};
+  getOwnElements(container).forEach((fe) => {
+    if (fe.dataset.repeatable === 'true') {
+      payload[fe.name] = [...(payload[fe.name] || []), getStructuredPayload(fe)];
+    } else if (isPayloadElement(fe)) {
+      payload[fe.name] = getPayloadValue(fe, payload[fe.name]);
+    }
+  });
+  return payload;
+}
+
+/**
+ * Returns the values of the fields of a document based form, keyed by the field name. By default
+ * the legacy payload is returned, in which the values of the repeatable panels and of the fields
+ * with multiple values (checkbox groups, multi select drop-downs) are comma separated. With the
+ * structured option repeatable panels are arrays of objects, one per instance, and fields with
+ * multiple values are arrays.
+ * @param {HTMLFormElement} form
+ * @param {{structured?: boolean}} [options]
+ * @returns {object}
+ */
+export function getFormPayload(form, { structured = false } = {}) {
+  return structured ? getStructuredPayload(form) : getFlatPayload(form);
+}
+
+/**
+ * Returns the id of the submission of the form. The id is kept until the submission succeeds,
+ * so that submitting again e.g. while offline doesn't queue the same submission twice.
+ */
+function getSubmissionId(form) {
+  if (!form.dataset.submissionId) {
+    form.dataset.submissionId = generateUnique();
+  }
+  return Number(form.dataset.submissionId);
+}
+
+function constructPayload(form) {
+  const structured = form.dataset.payloadFormat === 'structured';
+  const payload = { __id__: getSubmissionId(form), ...getFormPayload(form, { structured }) };
   return { payload };
 }
 
+/**
+ * Returns the name of the field prefixed with the instances of the repeatable panels containing
+ * it, e.g. children[1].photo
+ */
+function getFieldPath(fe) {
+  let path = fe.name;
+  let instance = getRepeatableInstance(fe);
+  while (instance) {
+    path = `${instance.name}[${instance.dataset.index}].${path}`;
+    instance = getRepeatableInstance(instance);
+  }
+  return path;
+}
+
+const getFileInputs = (form) => [...form.querySelectorAll('input[type="file"]')]
+  .filter((fe) => fe.name && !fe.disabled);
+
+// same limit as the validation of the file component
+const hasValidFileSize = (fe) => checkMaxFileSize(`${fe.dataset.maxFileSize || '2MB'}`, getAttachedFiles(fe));
+
+const getMaxFileSizeMessage = (fe) => fe.closest('.field-wrapper')?.dataset.maxFileSizeErrorMessage
+  || getErrorMessage('maxFileSize');
+
+/**
+ * Marks the file fields with files larger than their maximum file size as invalid. The file
+ * component validates the files when they are attached, not e.g. the files of a restored draft.
+ */
+function validateFileSizes(form) {
+  getFileInputs(form).filter((fe) => !hasValidFileSize(fe)).forEach((fe) => {
+    const message = getMaxFileSizeMessage(fe);
+    fe.setCustomValidity(message);
+    updateOrCreateInvalidMsg(fe, message);
+  });
+}
+
+function getAttachments(form) {
+  return getFileInputs(form)
+    .flatMap((fe) => {
+      const files = getAttachedFiles(fe);
+      if (!hasValidFileSize(fe)) {
+        const error = new Error(getMaxFileSizeMessage(fe));
+        error.name = 'ValidationError';
+        throw error;
+      }
+      // the uploaded and prefilled files are sent as the reference of the document
+      return files.filter((file) => file instanceof File || typeof file.data === 'string')
+        .map((file) => ({
+          key: `/${getFieldPath(fe)}/${file.name}`,
+          ...(file instanceof File ? { file } : { reference: file.data }),
+        }));
+    });
+}
+
 async function prepareRequest(form) {
   const { payload } = constructPayload(form);
   const {
@@ -92,23 +335,37 @@ async function prepareRequest(form) {
   } else {
     url = form.dataset.action;
   }
-  return { headers, body, url };
+  return {
+    headers, body, url, attachments: getAttachments(form),
+  };
 }
 
 async function submitDocBasedForm(form, captcha) {
   try {
-    const { headers, body, url } = await prepareRequest(form, captcha);
-    let token = null;
-    if (captcha) {
-      token = await captcha.getToken();
-      body.data['g-recaptcha-response'] = token;
+    const request = await prepareRequest(form);
+    const { body, url } = request;
+    let response;
+    try {
+      const token = captcha ? await captcha.getToken() : null;
+      response = await fetch(url, getSubmitRequestOptions({
+        ...request, body: captcha ? addCaptchaToken(body, token) : body,
+      }));
+    } catch (error) {
+      // fetch fails only on network errors, the submission is queued and sent when back online
+      retryQueuedSubmissions();
+      const queuedId = await queueSubmission({
+        ...request, captcha: captcha ? form.dataset.action : null,
+      });
+      if (queuedId) {
+        form.dataset.queuedId = queuedId;
+        submitQueued(form);
+        return;
+      }
+      throw error;
     }
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
     if (response.ok) {
+      // the submission may have been queued by a previous attempt
+      dequeueSubmission(getSubmissionId(form));
       submitSuccess(response, form);
     } else {
       const error = await response.text();
@@ -121,6 +378,8 @@ async function submitDocBasedForm(form, captcha) {
 
 export async function handleSubmit(e, form, captcha) {
   e.preventDefault();
+  await waitForAttachedFiles(form);
+  validateFileSizes(form);
   const valid = form.checkValidity();
   if (valid) {
     e.submitter?.setAttribute('disabled', '');
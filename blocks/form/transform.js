@@ -1,6 +1,23 @@
 /* eslint-disable no-param-reassign */
 
 import { getId } from './util.js';
+import { getCustomComponents, getOOTBComponents } from './mappings.js';
+
+// field types rendered by the form block in addition to the html input types, see form.js
+const fieldTypes = [
+  'text', 'number', 'email', 'tel', 'url', 'password', 'search', 'date', 'time', 'month', 'week',
+  'datetime-local', 'color', 'range', 'hidden', 'file', 'checkbox', 'radio', 'submit', 'reset',
+  'save-draft', 'discard-draft', 'captcha', 'image', 'heading',
+];
+
+function isKnownType(type) {
+  return fieldTypes.includes(type) || type.endsWith('wizard')
+    || getOOTBComponents().includes(type) || getCustomComponents().includes(type);
+}
+
+// the options are fetched from the url in the Options column, or the Options Source column
+const hasOptionsSource = (field) => field.properties?.optionsSource
+  || (field.enum?.length === 1 && `${field.enum[0]}`.startsWith('https://'));
 
 function handleCheckboxAndRadio(field) {
   // if fieldType is checkbox and value is not empty then convert it to enum.
@@ -20,6 +37,11 @@ function extractRules(field) {
   const rulesMapping = {
     value: 'Value Expression',
     visible: 'Visible Expression',
+    enabled: 'Enabled Expression',
+    required: 'Required Expression',
+    readOnly: 'ReadOnly Expression',
+    label: 'Label Expression',
+    validation: 'Validation Expression',
   };
   const entries = Object.entries(rulesMapping)
     // eslint-disable-next-line no-unused-vars
@@ -28,6 +50,22 @@ function extractRules(field) {
   return entries;
 }
 
+/**
+ * Returns the rows of the form and of the other sheets of a workbook, e.g. rate tables referenced
+ * in the formulas as Rates!A2:C10. The form is the default sheet of the workbook, or the first one.
+ */
+function getWorkbook(exData) {
+  if (exData?.[':type'] !== 'multi-sheet') {
+    return { data: exData?.data, sheets: {} };
+  }
+  const names = exData[':names'] || [];
+  // the placeholders sheet has the translations of the form, see getPlaceholders in form.js
+  const formSheet = names.includes('default') ? 'default' : names.find((x) => x !== 'placeholders');
+  const sheets = Object.fromEntries(names.filter((name) => name !== formSheet)
+    .map((name) => [name, exData[name]?.data || []]));
+  return { data: exData[formSheet]?.data, sheets };
+}
+
 function initFormDef(name) {
   return {
     name,
@@ -42,7 +80,7 @@ function initFormDef(name) {
 }
 
 function handleSpecialButtons(field) {
-  if (field?.fieldType === 'submit' || field?.fieldType === 'reset') {
+  if (['submit', 'reset', 'save-draft', 'discard-draft'].includes(field?.fieldType)) {
     field.buttonType = field.fieldType;
     field.fieldType = 'button';
     field.properties = field.properties || {};
@@ -130,11 +168,10 @@ function handleFranklinSpecialCases(item) {
   }
 }
 
+// the default error messages are translated, see getErrorMessage
 function initField() {
   return {
-    constraintMessages: {
-      required: 'Please fill in this field.',
-    },
+    constraintMessages: {},
   };
 }
 
@@ -143,6 +180,10 @@ export default class DocBasedFormToAF {
 
   containerNamesSet = new Set();
 
+  /**
+   * errors and warnings of the rows of the sheet, e.g. a Fieldset which doesn't exist
+   * @type {Array<{row: number, severity: 'error'|'warning', message: string}>}
+   */
   errors = [];
 
   fieldPropertyMapping = {
@@ -161,6 +202,19 @@ export default class DocBasedFormToAF {
     Accept: 'accept',
     Options: 'enum',
     OptionNames: 'enumNames',
+    'Options Source': 'properties.optionsSource',
+    'Options Label Key': 'properties.optionsLabelKey',
+    'Options Value Key': 'properties.optionsValueKey',
+    'Options Sheet': 'properties.optionsSheet',
+    'Options Cache': 'properties.optionsCache',
+    Mask: 'properties.fd:mask',
+    'Upload URL': 'properties.fd:uploadUrl',
+    'Upload Chunk Size': 'properties.fd:uploadChunkSize',
+    'Max Image Dimension': 'properties.fd:maxImageDimension',
+    'Image Quality': 'properties.fd:imageQuality',
+    'Display Format': 'displayFormat',
+    'Options Depends On': 'properties.optionsDependsOn',
+    'Options Filter Key': 'properties.optionsFilterKey',
     Visible: 'visible',
     Repeatable: 'repeatable',
     Style: 'appliedCssClassNames',
@@ -168,6 +222,7 @@ export default class DocBasedFormToAF {
     'Pattern Error Message': 'constraintMessages.pattern',
     'Min Error Message': 'constraintMessages.min',
     'Max Error Message': 'constraintMessages.max',
+    'Validation Error Message': 'constraintMessages.validationExpression',
   };
 
   fieldMapping = new Map([
@@ -176,6 +231,7 @@ export default class DocBasedFormToAF {
     ['datetime-local', 'date-input'],
     ['file', 'file-input'],
     ['select', 'drop-down'],
+    ['combobox', 'drop-down'],
     ['radio-group', 'radio-group'],
     ['checkbox-group', 'checkbox-group'],
     ['plain-text', 'plain-text'],
@@ -199,7 +255,8 @@ export default class DocBasedFormToAF {
     if (exData?.adaptiveform) {
       return { formDef: exData, excelData: null };
     }
-    if (!exData || !exData.data) {
+    const { data: rows, sheets } = getWorkbook(exData);
+    if (!rows) {
       throw new Error('Unable to retrieve the form details from json');
     }
     const formDef = initFormDef(name);
@@ -207,10 +264,12 @@ export default class DocBasedFormToAF {
     this.panelMap.set('root', formDef);
     const fieldIdMap = {};
     const rules = [];
-    exData.data.forEach((data) => {
+    const names = new Map();
+    rows.forEach((data) => {
       this.containerNamesSet.add(data?.Fieldset);
     });
-    exData.data.forEach((/** @type {{ [s: string]: any; } | ArrayLike<any>} */ item, index) => {
+    rows.forEach((/** @type {{ [s: string]: any; } | ArrayLike<any>} */ item, index) => {
+      const row = index + 2;
       if (item.Type) {
         // eslint-disable-next-line no-unused-vars
         const source = Object.fromEntries(Object.entries(item).filter(([_, v]) => (v != null && v !== '')));
@@ -233,15 +292,18 @@ export default class DocBasedFormToAF {
           delete field?.constraintMessages;
         }
         field = this.#handleField(field);
-        this.#addToParent(field);
-        fieldIdMap[index + 2] = { name: field.name, id: field.id };
+        this.#validateField(field, row, names);
+        this.#addToParent(field, row, rows);
+        fieldIdMap[row] = { name: field.name, id: field.id };
         const currentRules = extractRules(field);
         if (currentRules.length) {
           rules.push([field.id, currentRules]);
         }
+      } else if (item.Name || item.Field) {
+        this.#report(row, 'warning', 'The row has no Type, it is ignored.');
       }
     });
-    formDef.properties.rules = { fieldIdMap, rules };
+    formDef.properties.rules = { fieldIdMap, rules, sheets };
     return formDef;
   }
 
@@ -287,12 +349,58 @@ export default class DocBasedFormToAF {
     });
   }
 
+  /**
+   * Adds an error, or a warning, of the row of the sheet.
+   * @param {number} row row number in the sheet, the first row is the header
+   * @param {'error'|'warning'} severity
+   * @param {string} message
+   */
+  #report(row, severity, message) {
+    this.errors.push({ row, severity, message });
+  }
+
+  /**
+   * Checks the type, the name and the options of the field.
+   * @param {Object} field
+   * @param {number} row
+   * @param {Map<string, {row: number, type: string}>} names rows of the names of the fields
+   */
+  #validateField(field, row, names) {
+    const type = field[':type'];
+    const mapped = this.fieldMapping.has(type) || [...this.fieldMapping.values()].includes(type);
+    if (!mapped && !isKnownType(type)) {
+      this.#report(row, 'warning', `Unknown Type "${type}", the field is rendered as a text input.`);
+    }
+    const { name } = field;
+    if (name && names.has(name)) {
+      const first = names.get(name);
+      // the radio buttons with the same name are a group
+      if (type !== 'radio' || first.type !== 'radio') {
+        this.#report(row, 'error', `Duplicate Name "${name}", it is already used in row ${first.row}.`);
+      }
+    } else if (name) {
+      names.set(name, { row, type });
+    }
+    const options = field.enum || [];
+    if (field.enumNames && !hasOptionsSource(field) && field.enumNames.length !== options.length) {
+      this.#report(row, 'error', `The ${field.enumNames.length} OptionNames don't match the ${options.length} Options.`);
+    }
+  }
+
   /**
    * Add the field to its relevant parent items.
    * @param {Object} field
+   * @param {number} row
+   * @param {Array<Object>} rows rows of the sheet
    */
-  #addToParent(field) {
+  #addToParent(field, row, rows) {
     const parent = field?.Fieldset || 'root';
+    if (!this.panelMap.has(parent)) {
+      const panelRow = rows.findIndex((item) => item.Type && (item.Name || item.Field) === parent);
+      this.#report(row, 'error', panelRow < 0
+        ? `The Fieldset "${parent}" doesn't exist, the field is added to the form.`
+        : `The Fieldset "${parent}" is defined after the field, in row ${panelRow + 2}, the field is added to the form.`);
+    }
     const parentField = this.panelMap.get(this.panelMap.has(parent) ? parent : 'root');
     parentField.items = parentField.items || [];
     parentField.items.push(field);
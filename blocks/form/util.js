@@ -1,5 +1,5 @@
 // create a string containing head tags from h1 to h5
-import { defaultErrorMessages } from './constant.js';
+import { getErrorMessage } from './i18n.js';
 
 const headings = Array.from({ length: 5 }, (_, i) => `<h${i + 1}>`).join('');
 const allowedTags = `${headings}<a><b><p><i><em><strong><ul><li><ol>`;
@@ -114,7 +114,8 @@ export function createButton(fd) {
   }
   const button = document.createElement('button');
   button.textContent = fd?.label?.visible === false ? '' : fd?.label?.value;
-  button.type = fd.buttonType || 'button';
+  // other button types e.g. save-draft are handled by the form, using the class of the wrapper
+  button.type = ['submit', 'reset'].includes(fd.buttonType) ? fd.buttonType : 'button';
   button.classList.add('button');
   button.id = fd.id;
   button.name = fd.name;
@@ -191,6 +192,123 @@ export const validityKeyMsgMap = {
   valueMissing: { key: 'required' },
 };
 
+const fileSizeRegex = /^(\d*\.?\d+)(\\?(?=[KMGT])([KMGT])(?:i?B)?|B?)$/i;
+
+/**
+ * converts a string of the form "10MB" to bytes. If the string is malformed 0 is returned
+ * @param {*} str
+ * @returns
+ */
+export function getSizeInBytes(str) {
+  const sizes = {
+    KB: 1, MB: 2, GB: 3, TB: 4,
+  };
+  let sizeLimit = 0;
+  const matches = fileSizeRegex.exec(str.trim());
+  if (matches != null) {
+    const symbol = matches[2] || 'kb';
+    const size = parseFloat(matches[1]);
+    const i = 1024 ** sizes[symbol.toUpperCase()];
+    sizeLimit = Math.round(size * i);
+  }
+  return sizeLimit;
+}
+
+/**
+ * checks whether the size of the files in the array is withing the maxFileSize or not
+ * @param {string|number} maxFileSize maxFileSize in bytes or string with the unit
+ * @param {File[]} files array of File objects
+ * @returns false if any file is larger than the maxFileSize
+ */
+export function checkMaxFileSize(maxFileSize, files) {
+  const sizeLimit = typeof maxFileSize === 'string' ? getSizeInBytes(maxFileSize) : maxFileSize;
+  return Array.from(files).find((file) => file.size > sizeLimit) === undefined;
+}
+
+const attachedFiles = new WeakMap();
+
+/**
+ * Stores the files attached to a file input. The file component keeps its own list of files,
+ * since the files of the input are replaced on every selection.
+ * @param {HTMLInputElement} input
+ * @param {File[]} files
+ */
+export function setAttachedFiles(input, files) {
+  attachedFiles.set(input, files);
+}
+
+/**
+ * Returns the body of the submission with the captcha token. The token isn't stored with the
+ * queued submissions since it expires, and is accepted once, see queueSubmission.
+ * @param {{data: object}} body
+ * @param {string} token
+ * @returns {{data: object}}
+ */
+export function addCaptchaToken(body, token) {
+  return { ...body, data: { ...body.data, 'g-recaptcha-response': token } };
+}
+
+const pendingFiles = new WeakMap();
+
+/**
+ * Stores the promise of the files being attached to a file input, which resolves once they are
+ * validated, see waitForAttachedFiles.
+ * @param {HTMLInputElement} input
+ * @param {Promise<void>} promise
+ */
+export function setPendingFiles(input, promise) {
+  pendingFiles.set(input, promise);
+}
+
+/**
+ * Waits for the files being attached to the file inputs of the form, e.g. while their content
+ * is read, so that the form isn't submitted before they are validated.
+ * @param {HTMLFormElement} form
+ * @returns {Promise<void>}
+ */
+export async function waitForAttachedFiles(form) {
+  await Promise.all([...form.querySelectorAll('input[type="file"]')]
+    .map((input) => pendingFiles.get(input)));
+}
+
+/**
+ * Returns the files attached to a file input.
+ * @param {HTMLInputElement} input
+ * @returns {File[]}
+ */
+export function getAttachedFiles(input) {
+  return attachedFiles.get(input) || [...(input.files || [])];
+}
+
+/**
+ * Returns the options of the fetch request of a document based form submission. When files are
+ * attached it is sent as multipart/form-data, like the runtime does: the data in the data part
+ * and each file in a part named /<field name>/<file name>. The part of an uploaded file is the
+ * reference of the document, the submissions with only uploaded files are sent as JSON.
+ * @param {{headers: object, body: object,
+ * attachments?: {key: string, file?: File, reference?: string}[]}} request
+ * @returns {RequestInit}
+ */
+export function getSubmitRequestOptions({ headers, body, attachments = [] }) {
+  if (!attachments.some(({ file }) => file)) {
+    return { method: 'POST', headers, body: JSON.stringify(body) };
+  }
+  const formData = new FormData();
+  Object.entries(body).forEach(([key, value]) => {
+    formData.append(key, value != null && typeof value === 'object' ? JSON.stringify(value, null, 2) : value);
+  });
+  attachments.forEach(({ key, file, reference }) => {
+    if (file) {
+      formData.append(key, file, file.name);
+    } else {
+      formData.append(key, reference);
+    }
+  });
+  // the content type, with the boundary of the parts, is set by the browser
+  const { 'Content-Type': contentType, ...multipartHeaders } = headers;
+  return { method: 'POST', headers: multipartHeaders, body: formData };
+}
+
 export function getCheckboxGroupValue(name, htmlForm) {
   const val = [];
   htmlForm.querySelectorAll(`input[name="${name}"]`).forEach((x) => {
@@ -201,6 +319,69 @@ export function getCheckboxGroupValue(name, htmlForm) {
   return val;
 }
 
+/**
+ * Returns the instance of the repeatable panel containing the element, null if the element
+ * isn't inside a repeatable panel.
+ * @param {HTMLElement} el
+ * @returns {HTMLFieldSetElement|null}
+ */
+export function getRepeatableInstance(el) {
+  return el.parentElement?.closest('[data-repeatable="true"]') ?? null;
+}
+
+/**
+ * Returns the elements and instances of repeatable panels which belong to the container, i.e.
+ * excluding the ones inside nested repeatable panels.
+ * @param {HTMLFormElement|HTMLFieldSetElement} container form or instance of a repeatable panel
+ * @returns {HTMLElement[]}
+ */
+export function getOwnElements(container) {
+  const owner = container.tagName === 'FORM' ? null : container;
+  return [...container.elements].filter((el) => getRepeatableInstance(el) === owner);
+}
+
+const dependentOptions = new WeakMap();
+
+/**
+ * Stores all the options of a dependent drop-down, the options are later filtered
+ * by the value of the parent field.
+ * @param {HTMLSelectElement} select
+ * @param {{label: string, value: string, filter: string}[]} options
+ */
+export function setDependentOptions(select, options) {
+  dependentOptions.set(select, options);
+}
+
+export function getDependentOptions(select, parentValue) {
+  const parentValues = [].concat(parentValue ?? []).map((x) => `${x}`);
+  return (dependentOptions.get(select) || [])
+    .filter(({ filter }) => parentValues.includes(`${filter}`));
+}
+
+/**
+ * Replaces the options of a drop-down, retaining the placeholder option.
+ * @param {HTMLSelectElement} select
+ * @param {{label: string, value: string}[]} options
+ * @param {*} value value(s) to select
+ */
+export function updateSelectOptions(select, options, value) {
+  const placeholder = [...select.options].find((option) => option.disabled && option.value === '');
+  const values = [].concat(value ?? []).map((x) => `${x}`);
+  select.replaceChildren(...(placeholder ? [placeholder] : []));
+  options.forEach(({ label, value: optionValue }) => {
+    const option = document.createElement('option');
+    option.textContent = label;
+    option.value = optionValue;
+    if (values.includes(option.value)) {
+      option.setAttribute('selected', '');
+    }
+    select.append(option);
+  });
+  if (placeholder) {
+    placeholder.selected = !options.some((option) => values.includes(`${option.value}`));
+  }
+}
+
 function updateRequiredCheckboxGroup(name, htmlForm) {
   const checkboxGroup = htmlForm.querySelectorAll(`input[name="${name}"]`) || [];
   const value = getCheckboxGroupValue(name, htmlForm);
@@ -217,7 +398,7 @@ function getValidationMessage(fieldElement, wrapper) {
   const [invalidProperty] = Object.keys(validityKeyMsgMap)
     .filter((state) => fieldElement.validity[state]);
   const { key, attribute } = validityKeyMsgMap[invalidProperty] || {};
-  const message = wrapper.dataset[`${key}ErrorMessage`] || (attribute ? defaultErrorMessages[key].replace(/\$0/, fieldElement.getAttribute(attribute)) : defaultErrorMessages[key]);
+  const message = wrapper.dataset[`${key}ErrorMessage`] || (attribute ? getErrorMessage(key).replace(/\$0/, fieldElement.getAttribute(attribute)) : getErrorMessage(key));
   return message || fieldElement.validationMessage;
 }
 
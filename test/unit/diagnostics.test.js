@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import showDiagnostics, { isPreviewHost } from '../../blocks/form/diagnostics.js';
+
+function createForm() {
+  const container = document.createElement('div');
+  const form = document.createElement('form');
+  container.append(form);
+  document.querySelector('main').append(container);
+  return form;
+}
+
+const items = (overlay) => [...overlay.querySelectorAll('li')]
+  .map((item) => [item.className, item.textContent]);
+
+describe('diagnostics of document based forms', () => {
+  it('shows the errors and warnings of the rows above the form', () => {
+    const form = createForm();
+    showDiagnostics(form, [
+      { row: 5, severity: 'error', message: 'Duplicate Name "email", it is already used in row 2.' },
+      { row: 3, severity: 'warning', message: 'The row has no Type, it is ignored.' },
+    ]);
+    const overlay = form.previousElementSibling;
+    expect(overlay.matches('aside.form-diagnostics')).to.equal(true);
+    expect(overlay.querySelector('strong').textContent)
+      .to.equal('The form definition has 1 error and 1 warning');
+    expect(items(overlay)).to.deep.equal([
+      ['form-diagnostics-warning', 'Row 3: The row has no Type, it is ignored.'],
+      ['form-diagnostics-error', 'Row 5: Duplicate Name "email", it is already used in row 2.'],
+    ]);
+  });
+
+  it('adds the errors of the rules to the overlay of the form', () => {
+    const form = createForm();
+    showDiagnostics(form, [{ row: 6, severity: 'error', message: 'Unknown Type "x".' }]);
+    showDiagnostics(form, [{ row: 4, severity: 'error', message: 'Unknown reference A99.' }]);
+    expect(form.parentNode.querySelectorAll('.form-diagnostics')).to.have.length(1);
+    const overlay = form.previousElementSibling;
+    expect(overlay.querySelector('strong').textContent)
+      .to.equal('The form definition has 2 errors and 0 warnings');
+    expect(items(overlay).map(([, text]) => text)).to.deep.equal([
+      'Row 4: Unknown reference A99.',
+      'Row 6: Unknown Type "x".',
+    ]);
+  });
+
+  it('closes the overlay', () => {
+    const form = createForm();
+    showDiagnostics(form, [{ row: 2, severity: 'warning', message: 'The row has no Type, it is ignored.' }]);
+    form.previousElementSibling.querySelector('.form-diagnostics-close').click();
+    expect(form.previousElementSibling).to.equal(null);
+  });
+
+  it('shows nothing without errors or outside the preview hosts', () => {
+    const form = createForm();
+    showDiagnostics(form, []);
+    expect(form.previousElementSibling).to.equal(null);
+    expect(isPreviewHost('main--site--org.aem.page')).to.equal(true);
+    expect(isPreviewHost('main--site--org.hlx.page')).to.equal(true);
+    expect(isPreviewHost('main--site--org.aem.live')).to.equal(false);
+    expect(isPreviewHost('www.example.com')).to.equal(false);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { expect } from 'chai';
+import './setup.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import { createForm } from '../../blocks/form/form.js';
+import { handleSubmit } from '../../blocks/form/submit.js';
+import { defaultErrorMessages } from '../../blocks/form/constant.js';
+
+const sheet = {
+  ':type': 'sheet',
+  data: [
+    {
+      Name: 'scan', Type: 'file', Label: 'Scan', Accept: 'application/pdf',
+    },
+    { Name: 'submit', Type: 'submit', Label: 'Submit' },
+  ],
+};
+
+async function renderForm() {
+  // the components of the fields are imported from the code base path
+  window.hlx.codeBasePath = fileURLToPath(new URL('../..', import.meta.url)).replace(/\/$/, '');
+  const formDef = new DocBasedFormToAF().transform(sheet);
+  formDef.action = 'https://example.com/submit';
+  const form = await createForm(formDef);
+  form.dataset.source = 'sheet';
+  document.querySelector('main').append(form);
+  return form;
+}
+
+function attach(form, file) {
+  const drop = new Event('drop');
+  drop.dataTransfer = { files: [file] };
+  form.querySelector('.file-drag-area').dispatchEvent(drop);
+}
+
+async function submit(form) {
+  const requests = [];
+  global.fetch = async (url) => {
+    requests.push(url);
+    return { ok: true, status: 200 };
+  };
+  await handleSubmit({ preventDefault: () => {} }, form);
+  return requests;
+}
+
+describe('file attachments', () => {
+  it('blocks the submission of a file whose content does not match its type', async () => {
+    const form = await renderForm();
+    attach(form, new File(['not a pdf'], 'scan.pdf', { type: 'application/pdf' }));
+    // submitted right away, while the content of the file is being read
+    expect(await submit(form)).to.deep.equal([]);
+    const input = form.querySelector('input[type="file"]');
+    expect(input.validationMessage).to.equal(defaultErrorMessages.fileContent);
+  });
+
+  it('submits a file whose content matches its type', async () => {
+    const form = await renderForm();
+    attach(form, new File(['%PDF-1.7'], 'scan.pdf', { type: 'application/pdf' }));
+    expect(await submit(form)).to.deep.equal(['https://example.com/submit']);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import Formula from '../../blocks/form/rules-doc/parser/Formula.js';
+import transformRule from '../../blocks/form/rules-doc/RuleCompiler.js';
+
+// the values of the fields are text, like the values submitted by the form
+const data = {
+  amount: '5',
+  rate: '-2.5',
+  greeting: 'hello world',
+  birthDate: '2024-01-31',
+  items: ['1', '2', '', 'x', '10'],
+  empty: '',
+};
+
+// the other sheets of the workbook, read by the lookup functions
+const sheets = {
+  Rates: [
+    { Plan: 'Basic', Min: '0', Rate: '0.05' },
+    { Plan: 'Plus', Min: '1000', Rate: '0.04' },
+    { Plan: 'Pro', Min: '5000', Rate: '0.03' },
+  ],
+};
+
+// the rows of the fields in the sheet of the form, read by the cell references of =formulas
+const fieldIdMap = {
+  2: { name: 'first', id: 'first' },
+  3: { name: 'second', id: 'second' },
+  4: { name: 'third', id: 'third' },
+};
+
+function evaluate(expression, values = data) {
+  const formula = new Formula({});
+  const { ast } = transformRule({ prop: 'value', expression }, fieldIdMap, formula, sheets);
+  return formula.evaluate(ast, values);
+}
+
+describe('sheet formula functions', () => {
+  describe('math', () => {
+    it('aggregates the numbers of the values', () => {
+      expect(evaluate('SUM(items, amount)')).to.equal(18);
+      expect(evaluate('MAX(amount, 3, items)')).to.equal(10);
+      expect(evaluate('MIN(items)')).to.equal(1);
+      expect(evaluate('COUNT(items)')).to.equal(3);
+      expect(evaluate('COUNTA(items)')).to.equal(4);
+      expect(evaluate('MEDIAN(1, 3, 2, 4)')).to.equal(2.5);
+    });
+
+    it('rounds like a spreadsheet', () => {
+      expect(evaluate('ROUND(rate, 0)')).to.equal(-3);
+      expect(evaluate('ROUND(1.005, 2)')).to.equal(1.01);
+      expect(evaluate('ROUND(1234.5, -2)')).to.equal(1200);
+      expect(evaluate('ROUNDUP(3.2, 0)')).to.equal(4);
+      expect(evaluate('ROUNDDOWN(-3.7, 0)')).to.equal(-3);
+      expect(evaluate('INT(-8.9)')).to.equal(-9);
+      expect(evaluate('MOD(-3, 2)')).to.equal(1);
+    });
+
+    it('returns an error for the invalid arguments', () => {
+      expect(evaluate('MOD(3, 0)')).to.equal(null);
+      expect(evaluate('SQRT(-1)')).to.equal(null);
+      expect(evaluate('LN(0)')).to.equal(null);
+    });
+
+    it('ignores the blank values', () => {
+      expect(evaluate('SUM(empty)')).to.equal(0);
+      expect(evaluate('AVERAGE(empty)')).to.equal(null);
+      expect(evaluate('COUNTBLANK(items)')).to.equal(1);
+    });
+  });
+
+  describe('text', () => {
+    it('transforms the text', () => {
+      expect(evaluate('CONCATENATE("a", amount, "b")')).to.equal('a5b');
+      expect(evaluate('LEFT(greeting, 5)')).to.equal('hello');
+      expect(evaluate('MID(greeting, 7, 3)')).to.equal('wor');
+      expect(evaluate('PROPER(greeting)')).to.equal('Hello World');
+      expect(evaluate('SUBSTITUTE(greeting, "o", "0", 2)')).to.equal('hello w0rld');
+      expect(evaluate('TEXTJOIN("-", TRUE(), items)')).to.equal('1-2-x-10');
+      expect(evaluate('VALUE("12.5")')).to.equal(12.5);
+    });
+
+    it('returns an error if the text is not found', () => {
+      expect(evaluate('FIND("z", greeting)')).to.equal(null);
+      expect(evaluate('VALUE(greeting)')).to.equal(null);
+    });
+
+    it('treats the blank values as empty text', () => {
+      expect(evaluate('LEN(empty)')).to.equal(0);
+      expect(evaluate('CONCAT(empty, "a")')).to.equal('a');
+    });
+  });
+
+  describe('logical', () => {
+    it('evaluates the conditions', () => {
+      expect(evaluate('IF(amount > 3, "big")')).to.equal('big');
+      expect(evaluate('IF(amount > 30, "big")')).to.equal(false);
+      expect(evaluate('IFS(amount > 10, "x", amount > 3, "y")')).to.equal('y');
+      expect(evaluate('SWITCH(amount, "1", "one", "other")')).to.equal('other');
+      expect(evaluate('XOR(TRUE(), FALSE())')).to.equal(true);
+    });
+
+    it('replaces the errors', () => {
+      expect(evaluate('IFERROR(1 / 0, "div")')).to.equal('div');
+      expect(evaluate('IFERROR(FIND("z", greeting), 0)')).to.equal(0);
+    });
+
+    it('checks the type of the values like the cells of a spreadsheet', () => {
+      expect(evaluate('ISNUMBER(amount)')).to.equal(true);
+      expect(evaluate('ISNUMBER(rate)')).to.equal(true);
+      expect(evaluate('ISNUMBER(greeting)')).to.equal(false);
+      expect(evaluate('ISNUMBER(empty)')).to.equal(false);
+      expect(evaluate('ISTEXT(greeting)')).to.equal(true);
+      expect(evaluate('ISTEXT(amount)')).to.equal(false);
+      expect(evaluate('ISTEXT(empty)')).to.equal(false);
+      expect(evaluate('ISBLANK(empty)')).to.equal(true);
+      expect(evaluate('ISBLANK(amount)')).to.equal(false);
+    });
+  });
+
+  describe('date', () => {
+    it('returns the serial numbers of the dates', () => {
+      expect(evaluate('DATE(2024, 1, 1)')).to.equal(45292);
+      expect(evaluate('DATE(2024, 13, 1)')).to.equal(45658);
+      expect(evaluate('DATEVALUE(birthDate)')).to.equal(45322);
+      expect(evaluate('EDATE(birthDate, 1)')).to.equal(45351);
+      expect(evaluate('EOMONTH(birthDate, -1)')).to.equal(45291);
+    });
+
+    it('returns the parts of the dates', () => {
+      expect(evaluate('YEAR(birthDate)')).to.equal(2024);
+      expect(evaluate('MONTH(birthDate)')).to.equal(1);
+      expect(evaluate('DAY(birthDate)')).to.equal(31);
+      expect(evaluate('WEEKDAY(DATE(2024, 1, 1), 2)')).to.equal(1);
+      expect(evaluate('DATEDIF("2000-02-29", "2024-02-28", "Y")')).to.equal(23);
+      expect(evaluate('DATEDIF("2024-01-01", "2024-03-01", "D")')).to.equal(60);
+    });
+
+    it('returns an error for the blank and invalid dates', () => {
+      expect(evaluate('YEAR(empty)')).to.equal(null);
+      expect(evaluate('DAY(greeting)')).to.equal(null);
+      expect(evaluate('DATEDIF("2024-03-01", "2024-01-01", "D")')).to.equal(null);
+    });
+  });
+
+  describe('lookup', () => {
+    const items = { first: '1', second: '7', third: '3' };
+
+    it('finds the exact matches', () => {
+      expect(evaluate('=VLOOKUP("plus", Rates!A2:C4, 3, FALSE)')).to.equal('0.04');
+      expect(evaluate('=HLOOKUP("Rate", Rates!A1:C4, 3, FALSE)')).to.equal('0.04');
+      expect(evaluate('=MATCH("Pro", Rates!A2:A4, 0)')).to.equal(3);
+      expect(evaluate('=INDEX(Rates!A2:C4, 2, 3)')).to.equal('0.04');
+      expect(evaluate('=INDEX(Rates!C2:C4, MATCH("Pro", Rates!A2:A4, 0))')).to.equal('0.03');
+      expect(evaluate('=XLOOKUP("Plus", Rates!A2:A4, Rates!C2:C4)')).to.equal('0.04');
+    });
+
+    it('finds the approximate matches in the sorted ranges', () => {
+      expect(evaluate('=VLOOKUP(2500, Rates!B2:C4, 2)')).to.equal('0.04');
+      expect(evaluate('=VLOOKUP(9000, Rates!B2:C4, 2, TRUE)')).to.equal('0.03');
+      expect(evaluate('=MATCH(1200, Rates!B2:B4)')).to.equal(2);
+      expect(evaluate('=XLOOKUP(2500, Rates!B2:B4, Rates!A2:A4, "", -1)')).to.equal('Plus');
+      expect(evaluate('=XLOOKUP(2500, Rates!B2:B4, Rates!A2:A4, "", 1)')).to.equal('Pro');
+    });
+
+    it('returns an error if the value is not found', () => {
+      expect(evaluate('=VLOOKUP("Max", Rates!A2:C4, 3, FALSE)')).to.equal(null);
+      expect(evaluate('=VLOOKUP(-1, Rates!B2:C4, 2)')).to.equal(null);
+      expect(evaluate('=MATCH("Max", Rates!A2:A4, 0)')).to.equal(null);
+      expect(evaluate('=INDEX(Rates!A2:C4, 5, 1)')).to.equal(null);
+      expect(evaluate('=XLOOKUP("Max", Rates!A2:A4, Rates!C2:C4)')).to.equal(null);
+      expect(evaluate('=XLOOKUP("Max", Rates!A2:A4, Rates!C2:C4, "none")')).to.equal('none');
+      expect(evaluate('=IFERROR(VLOOKUP("Max", Rates!A2:C4, 3, FALSE), 0)')).to.equal(0);
+    });
+
+    it('reads the cells and ranges of the other sheets and of the form', () => {
+      expect(evaluate('=Rates!C3')).to.equal('0.04');
+      expect(evaluate('=rates!A1')).to.equal('Plan');
+      expect(evaluate('=SUM(Rates!B2:B4)')).to.equal(6000);
+      expect(evaluate('=SUM(Rates!B:B)')).to.equal(6000);
+      expect(evaluate('=SUM(B2:B4)', items)).to.equal(11);
+      expect(evaluate('=MAX($B$2:$B$4)', items)).to.equal(7);
+      expect(evaluate('=MATCH(7, B2:B4, 0)', items)).to.equal(2);
+      expect(evaluate('=INDEX(B2:B4, 3)', items)).to.equal('3');
+      expect(evaluate('=Missing!A2')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { expect } from 'chai';
+import './setup.js';
+import decorate from '../../blocks/form/form.js';
+
+const formDef = {
+  ':type': 'sheet',
+  data: [
+    { Name: 'doc', Type: 'file', Label: 'Document' },
+    { Name: 'submit', Type: 'submit', Label: 'Submit' },
+  ],
+};
+
+const responses = {
+  'https://example.com/forms/contact.json': formDef,
+  '/fr/placeholders.json': { data: [{ Key: 'form-attach', Text: 'Joindre' }] },
+};
+
+describe('translations', () => {
+  it('translates a form without placeholders of its own with the placeholders of the site', async () => {
+    document.documentElement.lang = 'fr';
+    // the components of the fields are imported from the code base path
+    window.hlx.codeBasePath = fileURLToPath(new URL('../..', import.meta.url)).replace(/\/$/, '');
+    global.fetch = async (url) => ({
+      ok: !!responses[url],
+      status: responses[url] ? 200 : 404,
+      headers: new Headers({ 'Content-Type': 'application/json' }),
+      json: async () => responses[url],
+    });
+    const block = document.createElement('div');
+    block.innerHTML = '<div><div><a href="https://example.com/forms/contact.json">form</a></div></div>';
+    document.querySelector('main').append(block);
+    await decorate(block);
+    expect(block.querySelector('.file-attachButton').textContent).to.equal('Joindre');
+  });
+});
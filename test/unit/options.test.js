@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import { createForm } from '../../blocks/form/form.js';
+
+function getFormDef(allowList) {
+  const formDef = new DocBasedFormToAF().transform({
+    ':type': 'sheet',
+    data: [{
+      Name: 'country', Type: 'select', Label: 'Country', 'Options Source': 'https://api.example.com/countries.json',
+    }],
+  });
+  formDef.properties['fd:optionsAllowList'] = allowList;
+  return formDef;
+}
+
+function optionsLoaded(select) {
+  return new Promise((resolve) => {
+    const check = () => (select.dataset.optionsStatus === 'loading' ? setTimeout(check, 5) : resolve());
+    check();
+  });
+}
+
+describe('drop-down options', () => {
+  it('fetches the options from the origins of the allow list of each form', async () => {
+    global.fetch = async () => ({
+      ok: true,
+      json: async () => ({ data: [{ Option: 'France', Value: 'FR' }] }),
+    });
+    // the forms of the page are rendered concurrently
+    const forms = await Promise.all([
+      createForm(getFormDef('https://api.example.com')),
+      createForm(getFormDef('https://data.example.org')),
+    ]);
+    const [allowed, denied] = forms.map((form) => form.querySelector('select'));
+    await Promise.all([optionsLoaded(allowed), optionsLoaded(denied)]);
+    expect(allowed.dataset.optionsStatus).to.equal('loaded');
+    expect([...allowed.options].map((option) => option.value)).to.deep.equal(['FR']);
+    expect(denied.dataset.optionsStatus).to.equal('error');
+  });
+});
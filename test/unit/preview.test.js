@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import { getFileUrl, transferFileUrl, revokeFileUrl } from '../../blocks/form/components/file/preview.js';
+
+describe('file preview', () => {
+  it('returns the object url of an attached file', () => {
+    const file = new File(['%PDF-'], 'form.pdf', { type: 'application/pdf' });
+    const url = getFileUrl(file);
+    expect(url).to.match(/^blob:/);
+    expect(getFileUrl(file)).to.equal(url);
+  });
+
+  it('keeps the object url of an uploaded file', () => {
+    const file = new File(['%PDF-'], 'form.pdf', { type: 'application/pdf' });
+    const url = getFileUrl(file);
+    const uploaded = {
+      name: 'form.pdf', size: file.size, type: file.type, data: 'uploads/1234',
+    };
+    transferFileUrl(file, uploaded);
+    expect(getFileUrl(uploaded)).to.equal(url);
+    revokeFileUrl(uploaded);
+    expect(getFileUrl(uploaded)).to.equal('uploads/1234');
+  });
+
+  it('returns the data of a pre-filled file', () => {
+    const file = { name: 'my form.pdf', data: 'https://example.com/files/my form.pdf' };
+    expect(getFileUrl(file)).to.equal('https://example.com/files/my%20form.pdf');
+  });
+});
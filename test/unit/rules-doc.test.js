@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import { createForm } from '../../blocks/form/form.js';
+import applyRuleEngine from '../../blocks/form/rules-doc/index.js';
+
+const row = (Name, Type, expressions = {}) => ({
+  Name, Type, Label: Name.toUpperCase(), ...expressions,
+});
+
+const sheet = {
+  ':type': 'sheet',
+  data: [
+    row('x', 'number'),
+    row('a', 'number', { 'Value Expression': '=A4+1' }),
+    row('b', 'number', { 'Value Expression': '=A3*2' }),
+    // the total depends on the field of the next row
+    row('total', 'number', { 'Value Expression': '=A6+A2' }),
+    row('c', 'number', { 'Value Expression': '=A2*10' }),
+    row('g', 'text', { 'Visible Expression': '=A5>100' }),
+    row('e', 'number', { 'Value Expression': '=A99+1' }),
+    row('submit', 'submit'),
+  ],
+};
+
+async function renderForm() {
+  const formDef = new DocBasedFormToAF().transform(sheet);
+  const form = await createForm(formDef);
+  const container = document.createElement('div');
+  container.append(form);
+  document.querySelector('main').append(container);
+  await applyRuleEngine(formDef, form);
+  return form;
+}
+
+describe('rules of document based forms', () => {
+  it('reports the circular and unknown references in the diagnostics', async () => {
+    const form = await renderForm();
+    const items = [...form.previousElementSibling.querySelectorAll('li')]
+      .map((item) => item.textContent);
+    expect(items).to.deep.equal([
+      'Row 3: Circular reference between the value expressions of the rows 3, 4, they are not applied.',
+      'Row 8: Unknown reference A99 in the value expression.',
+    ]);
+  });
+
+  it('applies the other rules in the order of their dependencies', async () => {
+    const form = await renderForm();
+    const x = form.querySelector('[name="x"]');
+    x.value = '20';
+    x.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(form.querySelector('[name="c"]').value).to.equal('200');
+    expect(form.querySelector('[name="total"]').value).to.equal('220');
+    expect(form.querySelector('.field-g').dataset.visible).to.equal('true');
+    expect(form.querySelector('[name="a"]').value).to.equal('');
+    expect(form.querySelector('[name="b"]').value).to.equal('');
+  });
+});
@@ -0,0 +1,46 @@
+/* eslint-env node */
+import { JSDOM } from 'jsdom';
+
+/**
+ * Exposes the window of a jsdom page as the globals of the blocks, the test files import it
+ * before the modules under test.
+ */
+const dom = new JSDOM('<!doctype html><html lang="en"><head></head><body><main></main></body></html>', {
+  url: 'https://main--site--org.aem.page/',
+});
+
+['window', 'document', 'navigator', 'location', 'HTMLElement', 'Node', 'NodeList', 'Event',
+  'CustomEvent', 'MutationObserver', 'File', 'FileList', 'Blob', 'DataTransfer', 'RadioNodeList',
+  'FormData', 'sessionStorage', 'localStorage'].forEach((name) => {
+  if (dom.window[name] !== undefined) {
+    Object.defineProperty(global, name, {
+      value: dom.window[name], configurable: true, writable: true,
+    });
+  }
+});
+window.hlx = { codeBasePath: '' };
+
+// jsdom doesn't scroll
+window.HTMLElement.prototype.scrollIntoView = () => {};
+
+// jsdom doesn't create object urls
+let objectUrls = 0;
+window.URL.createObjectURL = () => {
+  objectUrls += 1;
+  return `blob:${window.location.origin}/${objectUrls}`;
+};
+window.URL.revokeObjectURL = () => {};
+
+// jsdom doesn't implement the reading of the blobs with arrayBuffer
+if (!window.Blob.prototype.arrayBuffer) {
+  window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return new Promise((resolve, reject) => {
+      const reader = new window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(this);
+    });
+  };
+}
+
+export default dom;
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import { getFormPayload, handleSubmit } from '../../blocks/form/submit.js';
+import { setAttachedFiles } from '../../blocks/form/util.js';
+
+function createForm() {
+  const form = document.createElement('form');
+  form.innerHTML = `
+    <input name="name" value="Jane">
+    <fieldset class="checkbox-group-wrapper">
+      <input type="checkbox" name="colors" value="red" data-field-type="checkbox-group" checked>
+      <input type="checkbox" name="colors" value="green" data-field-type="checkbox-group">
+      <input type="checkbox" name="colors" value="blue" data-field-type="checkbox-group" checked>
+    </fieldset>
+    <div class="repeat-wrapper">
+      <fieldset name="kids" data-repeatable="true" data-index="0">
+        <input name="kidName" value="Max"><input name="age" value="4">
+      </fieldset>
+      <fieldset name="kids" data-repeatable="true" data-index="1">
+        <input name="kidName" value="Lea"><input name="age" value="7">
+      </fieldset>
+    </div>
+    <button type="submit">Submit</button>`;
+  document.body.append(form);
+  return form;
+}
+
+describe('getFormPayload', () => {
+  it('returns the flat payload by default', () => {
+    expect(getFormPayload(createForm())).to.deep.equal({
+      name: 'Jane',
+      colors: 'red,blue',
+      kidName: 'Max,Lea',
+      age: '4,7',
+    });
+  });
+
+  it('returns the structured payload with the structured option', () => {
+    expect(getFormPayload(createForm(), { structured: true })).to.deep.equal({
+      name: 'Jane',
+      colors: ['red', 'blue'],
+      kids: [{ kidName: 'Max', age: '4' }, { kidName: 'Lea', age: '7' }],
+    });
+  });
+
+  it('returns the files of the file fields in the flat payload', () => {
+    const form = document.createElement('form');
+    form.innerHTML = `
+      <input name="name" value="Jane">
+      <input type="file" name="scan">
+      <input type="file" name="photos" multiple>`;
+    setAttachedFiles(form.elements.scan, [{
+      name: 'scan.pdf', size: 10, type: 'application/pdf', data: 'uploads/123',
+    }]);
+    setAttachedFiles(form.elements.photos, [new File(['png'], 'cat.png', { type: 'image/png' })]);
+    expect(getFormPayload(form)).to.deep.equal({
+      name: 'Jane',
+      scan: {
+        name: 'scan.pdf', size: 10, mediaType: 'application/pdf', data: 'uploads/123',
+      },
+      photos: [{ name: 'cat.png', size: 3, mediaType: 'image/png' }],
+    });
+  });
+});
+
+describe('handleSubmit', () => {
+  const uploaded = {
+    name: 'scan.pdf', size: 10, type: 'application/pdf', data: 'uploads/123',
+  };
+
+  async function submit(files) {
+    const form = document.createElement('form');
+    form.dataset.source = 'sheet';
+    form.dataset.action = 'https://example.com/submit';
+    form.innerHTML = `
+      <input name="name" value="Jane">
+      <input type="file" name="scan" multiple>
+      <button type="submit">Submit</button>`;
+    document.body.append(form);
+    setAttachedFiles(form.elements.scan, files);
+    let options;
+    global.fetch = async (url, init) => {
+      options = init;
+      return { ok: true, status: 200 };
+    };
+    await handleSubmit({ preventDefault: () => {} }, form);
+    return options;
+  }
+
+  it('sends the reference of the uploaded files in the payload', async () => {
+    const { body } = await submit([uploaded]);
+    expect(JSON.parse(body).data.scan).to.deep.equal([{
+      name: 'scan.pdf', size: 10, mediaType: 'application/pdf', data: 'uploads/123',
+    }]);
+  });
+
+  it('sends the reference of the uploaded files as a part of the multipart request', async () => {
+    const { body } = await submit([uploaded, new File(['png'], 'cat.png', { type: 'image/png' })]);
+    expect(body.get('/scan/scan.pdf')).to.equal('uploads/123');
+    expect(body.get('/scan/cat.png').name).to.equal('cat.png');
+    expect(JSON.parse(body.get('data')).scan[0].data).to.equal('uploads/123');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+
+const transform = (data) => {
+  const transformer = new DocBasedFormToAF();
+  const formDef = transformer.transform({ ':type': 'sheet', data });
+  return { formDef, errors: transformer.errors };
+};
+
+describe('rows of document based forms', () => {
+  it('reports no errors for a valid sheet', () => {
+    const { formDef, errors } = transform([
+      { Name: 'contact', Type: 'fieldset' },
+      { Name: 'email', Type: 'email', Fieldset: 'contact' },
+      {
+        Name: 'plan', Type: 'select', Options: 'a,b', OptionNames: 'A,B',
+      },
+      { Name: 'yes', Type: 'radio', Field: 'agree' },
+      { Name: 'submit', Type: 'submit' },
+    ]);
+    expect(errors).to.deep.equal([]);
+    expect(formDef.items.map(({ name }) => name)).to.deep.equal(['contact', 'plan', 'yes', 'submit']);
+  });
+
+  it('reports the rows without a type and the unknown types', () => {
+    const { formDef, errors } = transform([
+      { Name: 'first' },
+      { Label: 'A note without a name' },
+      { Name: 'second', Type: 'colour' },
+    ]);
+    expect(errors).to.deep.equal([
+      { row: 2, severity: 'warning', message: 'The row has no Type, it is ignored.' },
+      { row: 4, severity: 'warning', message: 'Unknown Type "colour", the field is rendered as a text input.' },
+    ]);
+    expect(formDef.items.map(({ name }) => name)).to.deep.equal(['second']);
+  });
+
+  it('reports the duplicate names but not the radio buttons of a group', () => {
+    const { errors } = transform([
+      { Name: 'email', Type: 'email' },
+      {
+        Name: 'size', Type: 'radio', Value: 's', Label: 'S',
+      },
+      {
+        Name: 'size', Type: 'radio', Value: 'm', Label: 'M',
+      },
+      { Name: 'email', Type: 'text' },
+    ]);
+    expect(errors).to.deep.equal([
+      { row: 5, severity: 'error', message: 'Duplicate Name "email", it is already used in row 2.' },
+    ]);
+  });
+
+  it('reports the option names which do not match the options', () => {
+    const { errors } = transform([
+      {
+        Name: 'plan', Type: 'select', Options: 'a,b,c', OptionNames: 'A,B',
+      },
+      {
+        Name: 'country', Type: 'select', 'Options Source': 'https://example.com/countries.json', OptionNames: 'A',
+      },
+    ]);
+    expect(errors).to.deep.equal([
+      { row: 2, severity: 'error', message: 'The 2 OptionNames don\'t match the 3 Options.' },
+    ]);
+  });
+
+  it('adds the fields of a missing or later fieldset to the form', () => {
+    const { formDef, errors } = transform([
+      { Name: 'street', Type: 'text', Fieldset: 'address' },
+      { Name: 'phone', Type: 'text', Fieldset: 'contact' },
+      { Name: 'address', Type: 'fieldset' },
+    ]);
+    expect(errors).to.deep.equal([
+      {
+        row: 2,
+        severity: 'error',
+        message: 'The Fieldset "address" is defined after the field, in row 4, the field is added to the form.',
+      },
+      {
+        row: 3,
+        severity: 'error',
+        message: 'The Fieldset "contact" doesn\'t exist, the field is added to the form.',
+      },
+    ]);
+    expect(formDef.items.map(({ name }) => name)).to.deep.equal(['street', 'phone', 'address']);
+  });
+});
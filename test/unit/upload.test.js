@@ -0,0 +1,67 @@
+import { describe, it, beforeEach } from 'node:test';
+import { expect } from 'chai';
+import './setup.js';
+import uploadFile from '../../blocks/form/components/file/upload.js';
+
+const url = 'https://example.com/uploads';
+
+/**
+ * Replaces fetch with the responses of the upload endpoint, PUT returns the given responses in
+ * order, a response is a json body or a status code of a failed request.
+ */
+function mockEndpoint(putResponses) {
+  const requests = [];
+  global.fetch = async (resource, { method = 'GET' } = {}) => {
+    requests.push(method);
+    let response = { uploadId: '1' };
+    if (method === 'PUT') {
+      response = putResponses.shift();
+    }
+    if (typeof response === 'number') {
+      return { ok: false, status: response };
+    }
+    return { ok: true, status: 200, json: async () => response };
+  };
+  return requests;
+}
+
+const createFile = () => new File(['0123456789'], 'scan.pdf', { type: 'application/pdf' });
+
+describe('uploadFile', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('uploads the file in chunks and returns the reference', async () => {
+    const requests = mockEndpoint([{ offset: 4 }, { offset: 8 }, { offset: 10, reference: 'doc-1' }]);
+    const reference = await uploadFile(createFile(), { url, chunkSize: 4 });
+    expect(reference).to.equal('doc-1');
+    expect(requests).to.deep.equal(['POST', 'PUT', 'PUT', 'PUT']);
+  });
+
+  it('fails when the offset returned by the server does not move forward', async () => {
+    const requests = mockEndpoint([{ offset: 4 }, { offset: 4 }, { offset: 8 }]);
+    let error;
+    await uploadFile(createFile(), { url, chunkSize: 4 }).catch((e) => { error = e; });
+    expect(error?.message).to.equal('upload did not progress past offset 4');
+    expect(requests).to.deep.equal(['POST', 'PUT', 'PUT']);
+  });
+
+  it('fails when the offset returned by the server goes backward', async () => {
+    mockEndpoint([{ offset: 8 }, { offset: 4 }]);
+    let error;
+    await uploadFile(createFile(), { url, chunkSize: 4 }).catch((e) => { error = e; });
+    expect(error?.message).to.equal('upload did not progress past offset 8');
+  });
+
+  it('sends a chunk again when its request fails', async () => {
+    mockEndpoint([{ offset: 4 }, 503, { offset: 10, reference: 'doc-1' }]);
+    expect(await uploadFile(createFile(), { url, chunkSize: 6 })).to.equal('doc-1');
+  });
+
+  it('fails after the maximum number of retries of a chunk', async () => {
+    const requests = mockEndpoint([503, 503, 503, 503, { offset: 10, reference: 'doc-1' }]);
+    let error;
+    await uploadFile(createFile(), { url }).catch((e) => { error = e; });
+    expect(error?.message).to.equal('upload request failed with status 503');
+    expect(requests).to.deep.equal(['POST', 'PUT', 'PUT', 'PUT', 'PUT']);
+  });
+});